@@ -0,0 +1,43 @@
+-- Users and generation history in D1. Apply with:
+--   npx wrangler d1 migrations apply ai-image-history --remote
+
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  external_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  UNIQUE (provider, external_id)
+);
+
+-- One row per batch. user_id is not a foreign key to users: batches are also
+-- owned by the anonymous and admin pseudo-users. `record` holds the full
+-- history record as JSON; the other columns are copies used for filtering.
+CREATE TABLE generations (
+  user_id TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  original_prompt TEXT,
+  translated_prompt TEXT,
+  model TEXT NOT NULL,
+  steps INTEGER NOT NULL,
+  favorite INTEGER NOT NULL DEFAULT 0,
+  tags TEXT NOT NULL DEFAULT '[]',
+  parent_key TEXT,
+  record TEXT NOT NULL,
+  PRIMARY KEY (user_id, timestamp)
+);
+
+CREATE INDEX generations_favorite ON generations (user_id, favorite, timestamp);
+
+-- R2 objects of each batch, so an object can be traced back to its owner
+CREATE TABLE images (
+  r2_key TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  seed INTEGER,
+  FOREIGN KEY (user_id, timestamp) REFERENCES generations (user_id, timestamp) ON DELETE CASCADE
+);
+
+CREATE INDEX images_generation ON images (user_id, timestamp);
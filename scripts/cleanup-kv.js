@@ -2,7 +2,7 @@
 
 /**
  * KV 存储清理脚本
- * 清理过期的图像数据和历史记录
+ * 清理过期的图像数据和历史记录，核对 R2 图片与历史记录
  */
 
 const { execSync } = require('child_process');
@@ -80,6 +80,13 @@ async function listKVKeys(binding) {
   }
 }
 
+// 历史记录键为 history:<userId>:<13 位倒序时间戳> (见 src/history.js)，
+// 早期版本为 history:<timestamp>
+function historyTimestamp(keyName) {
+  const inverted = keyName.match(/^history:.+:(\d{13})$/);
+  return inverted ? 9999999999999 - parseInt(inverted[1], 10) : parseInt(keyName.split(':').pop(), 10);
+}
+
 // 删除过期的历史记录
 async function cleanupExpiredHistory(binding, daysOld = 7) {
   try {
@@ -92,7 +99,7 @@ async function cleanupExpiredHistory(binding, daysOld = 7) {
     
     for (const key of keys) {
       if (key.name.startsWith('history:')) {
-        const timestamp = parseInt(key.name.replace('history:', ''));
+        const timestamp = historyTimestamp(key.name);
         
         if (timestamp < cutoffTime) {
           try {
@@ -202,8 +209,8 @@ async function showStorageStats(binding) {
     const historyKeys = keys
       .filter(k => k.name.startsWith('history:'))
       .sort((a, b) => {
-        const timestampA = parseInt(a.name.replace('history:', ''));
-        const timestampB = parseInt(b.name.replace('history:', ''));
+        const timestampA = historyTimestamp(a.name);
+        const timestampB = historyTimestamp(b.name);
         return timestampB - timestampA;
       })
       .slice(0, 5);
@@ -211,7 +218,7 @@ async function showStorageStats(binding) {
     if (historyKeys.length > 0) {
       console.log('\n🕒 最近的历史记录:');
       historyKeys.forEach(key => {
-        const timestamp = parseInt(key.name.replace('history:', ''));
+        const timestamp = historyTimestamp(key.name);
         const date = new Date(timestamp).toLocaleString('zh-CN');
         console.log(`   ${date} (${key.name})`);
       });
@@ -224,10 +231,73 @@ async function showStorageStats(binding) {
   }
 }
 
+// 核对 R2 图片与历史记录。wrangler 无法列出 R2 对象，
+// 因此由已部署的 Worker 执行 (POST /api/admin/reconcile，见 src/reconcile.js)
+async function reconcileStorage(args) {
+  const action = args.includes('--delete') ? 'delete' : args.includes('--recreate') ? 'recreate' : 'report';
+  const urlIndex = args.indexOf('--url');
+  const workerUrl = urlIndex >= 0 ? args[urlIndex + 1] : process.env.WORKER_URL;
+  const apiKey = process.env.ADMIN_API_KEY;
+
+  if (!workerUrl || !apiKey) {
+    logError('请通过 --url 或 WORKER_URL 指定 Worker 地址，并设置 ADMIN_API_KEY 环境变量');
+    return null;
+  }
+
+  logStep(action === 'report' ? '核对存储 (仅报告，不做修改)...' : `核对存储并执行: ${action}...`);
+
+  const response = await fetch(`${workerUrl.replace(/\/$/, '')}/api/admin/reconcile`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ action })
+  });
+  const report = await response.json();
+
+  if (!response.ok) {
+    logError(`核对失败: ${report.error || response.status}`);
+    return null;
+  }
+
+  if (report.complete === false) {
+    logWarning(`本次未能读完所有历史记录或 R2 对象 (记录 ${report.records} 条，对象 ${report.objects} 个)，未做任何检查或修改。较早的记录会在之后的核对中逐批补齐，请稍后再次运行`);
+    return report;
+  }
+
+  console.log('\n📊 核对报告:');
+  console.log(`   R2 对象: ${report.objects}`);
+  console.log(`   历史记录: ${report.records}`);
+  console.log(`   孤立对象: ${report.orphanObjects.count} 个，${(report.orphanObjects.bytes / 1024 / 1024).toFixed(2)} MB (可恢复记录: ${report.orphanObjects.recoverable})`);
+  report.orphanObjects.keys.forEach(key => console.log(`     ${key}`));
+  console.log(`   缺失图片: ${report.missingImages.count} 张，涉及 ${report.missingImages.records} 条记录`);
+  report.missingImages.keys.forEach(key => console.log(`     ${key}`));
+
+  if (action === 'report') {
+    logInfo('仅报告模式。使用 --recreate 恢复记录，使用 --delete 删除孤立对象并修正记录');
+  } else {
+    logSuccess(`恢复记录 ${report.recreatedRecords} 条，删除对象 ${report.deletedObjects} 个，` +
+      `更新记录 ${report.updatedRecords} 条，删除记录 ${report.deletedRecords} 条`);
+  }
+
+  return report;
+}
+
 // 主函数
 async function main() {
   console.log('🧹 KV 存储清理工具\n');
   
+  // 解析命令行参数
+  const args = process.argv.slice(2);
+  const command = args[0] || 'stats';
+  
+  // 核对由 Worker 执行，不需要 wrangler
+  if (command === 'reconcile') {
+    const report = await reconcileStorage(args.slice(1));
+    process.exit(report ? 0 : 1);
+  }
+  
   // 检查 wrangler 认证
   try {
     execSync('wrangler whoami', { stdio: 'pipe' });
@@ -239,10 +309,6 @@ async function main() {
   const { binding } = getKVNamespaceInfo();
   logInfo(`使用 KV 绑定: ${binding}`);
   
-  // 解析命令行参数
-  const args = process.argv.slice(2);
-  const command = args[0] || 'stats';
-  
   switch (command) {
     case 'stats':
     case 'status':
@@ -268,12 +334,17 @@ async function main() {
       console.log('  stats              显示存储统计信息 (默认)');
       console.log('  cleanup [天数]     清理指定天数前的历史记录 (默认: 7天)');
       console.log('  clear              清理所有数据 (危险操作)');
+      console.log('  reconcile [选项]   核对 R2 图片与历史记录 (默认仅报告)');
+      console.log('      --url <地址>   Worker 地址 (或设置 WORKER_URL)，需设置 ADMIN_API_KEY');
+      console.log('      --recreate     根据图片元数据恢复缺失的历史记录');
+      console.log('      --delete       删除孤立对象，并从记录中移除缺失的图片');
       console.log('  help               显示帮助信息');
       console.log('');
       console.log('示例:');
       console.log('  node cleanup-kv.js stats           # 显示存储统计');
       console.log('  node cleanup-kv.js cleanup 30      # 清理30天前的记录');
       console.log('  node cleanup-kv.js clear           # 清理所有数据');
+      console.log('  node cleanup-kv.js reconcile --url https://example.workers.dev');
       break;
       
     default:
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * KV → D1 迁移脚本
+ * 将 KV 中的历史记录 (history:*) 和用户 (user:*) 一次性导入 D1 数据库。
+ * 使用 INSERT OR IGNORE，可重复运行，不会覆盖已写入 D1 的记录。
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 颜色输出
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`❌ ${message}`, 'red');
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, 'yellow');
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, 'blue');
+}
+
+function logStep(message) {
+  log(`🔄 ${message}`, 'cyan');
+}
+
+// 在按用户分键之前写入的记录只有管理员可见 (见 src/users.js)
+const ADMIN_USER_ID = 'admin';
+
+// 早期记录没有 model 字段，当时只支持 FLUX.1 [schnell]
+const LEGACY_MODEL = '@cf/black-forest-labs/flux-1-schnell';
+
+// 从 wrangler.toml 读取 KV 绑定和 D1 数据库名称
+function getBindings() {
+  const content = fs.readFileSync(path.join(__dirname, '../wrangler.toml'), 'utf8');
+  const kvMatch = content.match(/\[\[kv_namespaces\]\]\s*binding = "([^"]+)"/);
+  const d1Match = content.match(/^\s*#?\s*database_name = "([^"]+)"/m);
+
+  return {
+    binding: kvMatch ? kvMatch[1] : 'IMAGE_STORE',
+    database: d1Match ? d1Match[1] : 'ai-image-history'
+  };
+}
+
+function wrangler(args, location) {
+  return execFileSync('npx', ['wrangler', ...args, location], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+function listKeys(binding, prefix, location) {
+  return JSON.parse(wrangler(['kv', 'key', 'list', '--binding', binding, '--prefix', prefix], location));
+}
+
+function getValue(binding, name, location) {
+  return wrangler(['kv', 'key', 'get', name, '--binding', binding, '--text'], location);
+}
+
+function sqlValue(value) {
+  if (value === undefined || value === null) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function insert(table, columns, values) {
+  return `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${values.map(sqlValue).join(', ')});`;
+}
+
+// 历史记录键为 history:<userId>:<倒序时间戳>，早期版本为 history:<timestamp>
+function historyOwner(keyName) {
+  const segments = keyName.split(':');
+  return segments.length === 3 ? segments[1] : ADMIN_USER_ID;
+}
+
+// 与 src/db.js 中 putGeneration 写入的列保持一致
+function generationStatements(userId, record) {
+  const r2Keys = record.r2Keys || [];
+
+  return [
+    insert('generations', [
+      'user_id', 'timestamp', 'prompt', 'original_prompt', 'translated_prompt',
+      'model', 'steps', 'favorite', 'tags', 'parent_key', 'record'
+    ], [
+      userId,
+      record.timestamp,
+      record.prompt,
+      record.originalPrompt || null,
+      record.translatedPrompt || null,
+      record.model,
+      record.steps,
+      record.favorite ? 1 : 0,
+      JSON.stringify(record.tags || []),
+      record.parentKey || null,
+      JSON.stringify(record)
+    ]),
+    ...r2Keys.map((r2Key, i) => insert('images', ['r2_key', 'user_id', 'timestamp', 'position', 'seed'], [
+      r2Key,
+      userId,
+      record.timestamp,
+      i,
+      record.seeds ? record.seeds[i] : null
+    ]))
+  ];
+}
+
+function userStatement(user) {
+  return insert('users', ['id', 'name', 'provider', 'external_id', 'created_at'], [
+    user.id,
+    user.name,
+    user.provider,
+    user.externalId,
+    user.createdAt
+  ]);
+}
+
+async function migrate({ dryRun, location }) {
+  const { binding, database } = getBindings();
+  logInfo(`KV 绑定: ${binding}，D1 数据库: ${database} (${location === '--local' ? '本地' : '远程'})`);
+
+  const statements = [];
+  let skipped = 0;
+
+  logStep('读取用户...');
+  const userKeys = listKeys(binding, 'user:', location);
+  for (const key of userKeys) {
+    try {
+      statements.push(userStatement(JSON.parse(getValue(binding, key.name, location))));
+    } catch (error) {
+      logWarning(`跳过无法读取的用户: ${key.name}`);
+      skipped++;
+    }
+  }
+  logInfo(`发现 ${userKeys.length} 个用户`);
+
+  logStep('读取历史记录...');
+  const historyKeys = listKeys(binding, 'history:', location);
+  for (const [i, key] of historyKeys.entries()) {
+    try {
+      const record = { model: LEGACY_MODEL, ...JSON.parse(getValue(binding, key.name, location)) };
+      if (!Number.isInteger(record.timestamp) || typeof record.prompt !== 'string' || !Number.isInteger(record.steps)) {
+        throw new Error('invalid record');
+      }
+      statements.push(...generationStatements(historyOwner(key.name), record));
+    } catch (error) {
+      logWarning(`跳过无法读取的记录: ${key.name}`);
+      skipped++;
+    }
+    if ((i + 1) % 100 === 0) {
+      logInfo(`已读取 ${i + 1}/${historyKeys.length} 条历史记录`);
+    }
+  }
+  logInfo(`发现 ${historyKeys.length} 条历史记录`);
+
+  const file = path.join(os.tmpdir(), `history-import-${Date.now()}.sql`);
+  fs.writeFileSync(file, `${statements.join('\n')}\n`);
+  logSuccess(`已生成 ${statements.length} 条 SQL 语句: ${file}`);
+
+  if (skipped > 0) {
+    logWarning(`跳过了 ${skipped} 个键`);
+  }
+
+  if (dryRun) {
+    logInfo('预演模式，未写入 D1。确认无误后去掉 --dry-run 重新运行');
+    return;
+  }
+
+  logStep('写入 D1...');
+  execFileSync('npx', ['wrangler', 'd1', 'execute', database, '--file', file, '--yes', location], {
+    stdio: 'inherit'
+  });
+  logSuccess('迁移完成，KV 中的原记录保留不变');
+}
+
+// 主函数
+async function main() {
+  console.log('🗄️  KV → D1 历史记录迁移工具\n');
+
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help') || args.includes('-h')) {
+    console.log('用法: node migrate-kv-to-d1.js [--local] [--dry-run]');
+    console.log('');
+    console.log('选项:');
+    console.log('  --local      使用本地开发环境的 KV 和 D1 (默认使用远程)');
+    console.log('  --dry-run    只生成 SQL 文件，不写入 D1');
+    console.log('');
+    console.log('运行前请先创建数据库并执行迁移:');
+    console.log('  npx wrangler d1 create ai-image-history');
+    console.log('  npm run d1:migrate');
+    return;
+  }
+
+  await migrate({
+    dryRun: args.includes('--dry-run'),
+    location: args.includes('--local') ? '--local' : '--remote'
+  });
+}
+
+// 错误处理
+process.on('unhandledRejection', (reason) => {
+  logError(`未处理的 Promise 错误: ${reason}`);
+  process.exit(1);
+});
+
+main().catch(error => {
+  logError(`迁移失败: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,427 @@
+// API key authentication. Keys are stored in IMAGE_STORE as SHA-256 hashes
+// and carry scopes; requests authenticate with `Authorization: Bearer <key>`
+// or, for the HTML page, with a session cookie obtained by logging in with a
+// key or through an identity provider (./providers.js). Every key belongs to
+// a user (./users.js). The ADMIN_API_KEY secret acts as a bootstrap key with
+// every scope. Setting AUTH_DISABLED = "true" turns the checks off for local
+// development.
+
+import { getUser, ADMIN_USER_ID, USER_SCOPES } from './users.js';
+
+const KEY_PREFIX = 'apikey:';
+const KEY_ID_PREFIX = 'apikey-id:';
+const SESSION_PREFIX = 'session:';
+const SESSION_COOKIE = 'aig_session';
+const SESSION_TTL = 86400 * 7; // 7 days
+const OAUTH_STATE_COOKIE = 'aig_oauth_state';
+const OAUTH_STATE_TTL = 600;
+
+/**
+ * @typedef {'generate' | 'read-history' | 'admin'} Scope
+ */
+
+export const SCOPES = ['generate', 'read-history', 'admin'];
+
+/**
+ * @typedef {Object} AuthContext
+ * @property {string | null} keyId - Id of the API key, `admin` for ADMIN_API_KEY, null for provider sessions
+ * @property {string} userId - Owner of the caller's generations
+ * @property {string} name
+ * @property {Scope[]} scopes
+ */
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {Scope[]} scopes
+ * @property {string} [userId] - Owning user; keys created without one act as their own user
+ * @property {number} createdAt
+ * @property {number} [revokedAt]
+ */
+
+/**
+ * Whether a request runs a model. Only these count against the request rate
+ * limit; reading and curating history does not.
+ *
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export function runsModel(method, pathname) {
+  return method === 'POST' && ['/api/generate', '/api/img2img', '/api/inpaint', '/api/jobs', '/api/prompt/enhance'].includes(pathname);
+}
+
+/**
+ * Scope a route requires, or null for public routes.
+ *
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {Scope | null}
+ */
+export function requiredScope(method, pathname) {
+  if (pathname.startsWith('/api/admin/')) {
+    return 'admin';
+  }
+  if (runsModel(method, pathname)) {
+    return 'generate';
+  }
+  if (pathname.startsWith('/api/jobs/')) {
+    return 'generate';
+  }
+  // Changing, sharing or deleting generations needs the same write access as
+  // creating them
+  if (['DELETE', 'PATCH', 'POST'].includes(method) && /^\/api\/history(\/\d+)?(\/share)?$/.test(pathname)) {
+    return 'generate';
+  }
+  if (pathname === '/api/collections' || pathname.startsWith('/api/collections/')) {
+    return method === 'GET' ? 'read-history' : 'generate';
+  }
+  if (pathname === '/api/history' || pathname.startsWith('/api/history/') || pathname === '/api/search' || pathname.startsWith('/api/image/')) {
+    return 'read-history';
+  }
+  return null;
+}
+
+/**
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function isAuthDisabled(env) {
+  return env.AUTH_DISABLED === 'true';
+}
+
+/**
+ * Resolve the caller from a bearer token or session cookie.
+ *
+ * @param {Request} request
+ * @param {any} env
+ * @returns {Promise<AuthContext | null>}
+ */
+export async function authenticate(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return verifyApiKey(env, match[1].trim());
+  }
+
+  const token = getCookie(request, SESSION_COOKIE);
+  if (token) {
+    const data = await env.IMAGE_STORE.get(`${SESSION_PREFIX}${token}`);
+    if (!data) {
+      return null;
+    }
+    const { keyId, userId } = JSON.parse(data);
+    if (userId) {
+      return loadUserContext(env, userId);
+    }
+    // Key sessions follow their key, so revoking the key ends the session
+    return keyId === 'admin' ? adminContext(env) : loadKeyContext(env, keyId);
+  }
+
+  return null;
+}
+
+/**
+ * @param {AuthContext} auth
+ * @param {Scope} scope
+ * @returns {boolean}
+ */
+export function hasScope(auth, scope) {
+  return auth.scopes.includes('admin') || auth.scopes.includes(scope);
+}
+
+/**
+ * Whether the caller may use a route that requires `scope`. Images can also
+ * be read with the generate scope, since generation responses link to them;
+ * the image route only serves callers their own images (canAccess in
+ * ./users.js).
+ *
+ * @param {AuthContext} auth
+ * @param {Scope} scope
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export function canUseRoute(auth, scope, pathname) {
+  if (pathname.startsWith('/api/image/') && hasScope(auth, 'generate')) {
+    return true;
+  }
+  return hasScope(auth, scope);
+}
+
+/**
+ * @param {any} env
+ * @param {string} key
+ * @returns {Promise<AuthContext | null>}
+ */
+export async function verifyApiKey(env, key) {
+  const hash = await sha256Hex(key);
+
+  if (env.ADMIN_API_KEY && hash === await sha256Hex(env.ADMIN_API_KEY)) {
+    return adminContext(env);
+  }
+
+  const data = await env.IMAGE_STORE.get(`${KEY_PREFIX}${hash}`);
+  if (!data) {
+    return null;
+  }
+
+  /** @type {ApiKeyRecord} */
+  const record = JSON.parse(data);
+  return record.revokedAt ? null : keyContext(record);
+}
+
+/**
+ * Create an API key. The plaintext key is only returned here.
+ *
+ * @param {any} env
+ * @param {{ name?: string, scopes?: string[], userId?: string }} body
+ * @returns {Promise<{ error: string } | { key: string, record: ApiKeyRecord }>}
+ */
+export async function createApiKey(env, body) {
+  const { name, scopes, userId } = body || {};
+
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return { error: 'Name must be between 1 and 100 characters' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+    return { error: `Scopes must be a non-empty list of: ${SCOPES.join(', ')}` };
+  }
+  if (userId !== undefined && (typeof userId !== 'string' || !await getUser(env, userId))) {
+    return { error: 'Unknown user' };
+  }
+
+  const key = `aig_${randomToken()}`;
+  const hash = await sha256Hex(key);
+
+  const id = crypto.randomUUID();
+  /** @type {ApiKeyRecord} */
+  const record = {
+    id,
+    name,
+    scopes: /** @type {Scope[]} */ ([...new Set(scopes)]),
+    userId: userId || id,
+    createdAt: Date.now()
+  };
+
+  await env.IMAGE_STORE.put(`${KEY_PREFIX}${hash}`, JSON.stringify(record));
+  await env.IMAGE_STORE.put(`${KEY_ID_PREFIX}${record.id}`, hash);
+
+  return { key, record };
+}
+
+/**
+ * @param {any} env
+ * @returns {Promise<ApiKeyRecord[]>}
+ */
+export async function listApiKeys(env) {
+  const list = await env.IMAGE_STORE.list({ prefix: KEY_PREFIX });
+  const records = await Promise.all(
+    list.keys.map(async (/** @type {{ name: string }} */ key) => {
+      const data = await env.IMAGE_STORE.get(key.name);
+      return data ? JSON.parse(data) : null;
+    })
+  );
+  return records.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Revoke an API key by id.
+ *
+ * @param {any} env
+ * @param {string} id
+ * @returns {Promise<ApiKeyRecord | null>} The revoked key, or null if unknown
+ */
+export async function revokeApiKey(env, id) {
+  const hash = await env.IMAGE_STORE.get(`${KEY_ID_PREFIX}${id}`);
+  if (!hash) {
+    return null;
+  }
+
+  const data = await env.IMAGE_STORE.get(`${KEY_PREFIX}${hash}`);
+  if (!data) {
+    return null;
+  }
+
+  /** @type {ApiKeyRecord} */
+  const record = JSON.parse(data);
+  if (!record.revokedAt) {
+    record.revokedAt = Date.now();
+    await env.IMAGE_STORE.put(`${KEY_PREFIX}${hash}`, JSON.stringify(record));
+  }
+
+  return record;
+}
+
+/**
+ * Exchange an API key for a session cookie.
+ *
+ * @param {any} env
+ * @param {string} key
+ * @returns {Promise<{ auth: AuthContext, cookie: string } | null>}
+ */
+export async function createSession(env, key) {
+  const auth = typeof key === 'string' && key ? await verifyApiKey(env, key) : null;
+  if (!auth) {
+    return null;
+  }
+
+  return { auth, cookie: await startSession(env, { keyId: auth.keyId }) };
+}
+
+/**
+ * Start a session for a user signed in through an identity provider.
+ *
+ * @param {any} env
+ * @param {import('./users.js').UserRecord} user
+ * @returns {Promise<string>} The Set-Cookie header value
+ */
+export async function createUserSession(env, user) {
+  return startSession(env, { userId: user.id });
+}
+
+/**
+ * End the session of the request, if any.
+ *
+ * @param {Request} request
+ * @param {any} env
+ * @returns {Promise<string>} A cookie header clearing the session cookie
+ */
+export async function destroySession(request, env) {
+  const token = getCookie(request, SESSION_COOKIE);
+  if (token) {
+    await env.IMAGE_STORE.delete(`${SESSION_PREFIX}${token}`);
+  }
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+/**
+ * Start an identity provider sign-in. The state is echoed back by the
+ * provider and must match the cookie on the callback.
+ *
+ * @returns {{ state: string, cookie: string }}
+ */
+export function createOAuthState() {
+  const state = randomToken();
+  // Lax, since the callback is a cross-site navigation from the provider
+  return {
+    state,
+    cookie: `${OAUTH_STATE_COOKIE}=${state}; Path=/api/auth/; HttpOnly; Secure; SameSite=Lax; Max-Age=${OAUTH_STATE_TTL}`
+  };
+}
+
+/**
+ * @param {Request} request
+ * @param {string | null} state - State returned by the provider
+ * @returns {{ valid: boolean, cookie: string }} Whether it matches, and a cookie header clearing it
+ */
+export function checkOAuthState(request, state) {
+  const expected = getCookie(request, OAUTH_STATE_COOKIE);
+  return {
+    valid: !!expected && expected === state,
+    cookie: `${OAUTH_STATE_COOKIE}=; Path=/api/auth/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`
+  };
+}
+
+/**
+ * @param {any} env
+ * @param {{ keyId?: string | null, userId?: string }} data
+ * @returns {Promise<string>} The Set-Cookie header value
+ */
+async function startSession(env, data) {
+  const token = randomToken();
+  await env.IMAGE_STORE.put(`${SESSION_PREFIX}${token}`, JSON.stringify(data), {
+    expirationTtl: SESSION_TTL
+  });
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL}`;
+}
+
+/**
+ * @param {any} env
+ * @returns {AuthContext | null}
+ */
+function adminContext(env) {
+  return env.ADMIN_API_KEY
+    ? { keyId: 'admin', userId: ADMIN_USER_ID, name: 'admin', scopes: ['admin'] }
+    : null;
+}
+
+/**
+ * @param {ApiKeyRecord} record
+ * @returns {AuthContext}
+ */
+function keyContext(record) {
+  return {
+    keyId: record.id,
+    userId: record.userId || record.id,
+    name: record.name,
+    scopes: record.scopes
+  };
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @returns {Promise<AuthContext | null>}
+ */
+async function loadUserContext(env, userId) {
+  const user = await getUser(env, userId);
+  return user ? { keyId: null, userId: user.id, name: user.name, scopes: USER_SCOPES } : null;
+}
+
+/**
+ * @param {any} env
+ * @param {string} keyId
+ * @returns {Promise<AuthContext | null>}
+ */
+async function loadKeyContext(env, keyId) {
+  const hash = await env.IMAGE_STORE.get(`${KEY_ID_PREFIX}${keyId}`);
+  if (!hash) {
+    return null;
+  }
+
+  const data = await env.IMAGE_STORE.get(`${KEY_PREFIX}${hash}`);
+  if (!data) {
+    return null;
+  }
+
+  /** @type {ApiKeyRecord} */
+  const record = JSON.parse(data);
+  return record.revokedAt ? null : keyContext(record);
+}
+
+/**
+ * @param {Request} request
+ * @param {string} name
+ * @returns {string | null}
+ */
+function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [cookieName, ...value] = part.trim().split('=');
+    if (cookieName === name) {
+      return value.join('=');
+    }
+  }
+  return null;
+}
+
+/**
+ * @returns {string} 32 random bytes, base64url encoded
+ */
+function randomToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,349 @@
+// Named collections of generated images. A collection is stored as
+// `collection:<userId>:<id>` and lists images as (history id, image index)
+// pairs; the history records in turn list the collections they belong to,
+// which keeps them from expiring while they are curated.
+
+import { getHistory, putHistory } from './history.js';
+import { historyImages, signPrivateImages } from './generation.js';
+import { refreshHistoryIndex } from './search.js';
+
+const COLLECTION_PREFIX = 'collection:';
+
+const MAX_COLLECTIONS = 100;
+const MAX_COLLECTION_ITEMS = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * @typedef {Object} CollectionItem
+ * @property {string} historyId - Timestamp of the history record
+ * @property {number} index - 1-based index of the image in the record
+ * @property {number} addedAt
+ */
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {CollectionItem[]} items
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {Object} CollectionSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {number} itemCount
+ * @property {number} updatedAt
+ */
+
+/**
+ * Validate the name and description of a collection.
+ *
+ * @param {any} body
+ * @param {boolean} [partial] - Whether fields may be omitted, for updates
+ * @returns {{ error: string } | { fields: { name?: string, description?: string } }}
+ */
+export function parseCollectionInput(body, partial = false) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  /** @type {{ name?: string, description?: string }} */
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = body.description.trim();
+  }
+
+  if (partial && Object.keys(fields).length === 0) {
+    return { error: 'Provide name or description' };
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the images of a request adding or removing collection items.
+ * Without `indices`, the request covers every image of the record.
+ *
+ * @param {any} body
+ * @returns {{ error: string } | { historyId: string, indices: number[] | null }}
+ */
+export function parseCollectionItems(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const historyId = String(body.historyId ?? '');
+  if (!/^\d+$/.test(historyId)) {
+    return { error: 'historyId must be a history timestamp' };
+  }
+
+  /** @type {unknown} */
+  const indices = body.indices;
+  if (indices === undefined) {
+    return { historyId, indices: null };
+  }
+  if (!Array.isArray(indices) || indices.length === 0 ||
+      !indices.every(index => Number.isInteger(index) && index >= 1)) {
+    return { error: 'indices must be a list of 1-based image indices' };
+  }
+
+  return { historyId, indices: [...new Set(/** @type {number[]} */ (indices))] };
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @returns {Promise<CollectionSummary[]>} Newest first
+ */
+export async function listCollections(env, userId) {
+  const list = await env.IMAGE_STORE.list({ prefix: `${COLLECTION_PREFIX}${userId}:`, limit: MAX_COLLECTIONS });
+  /** @type {{ name: string, metadata?: any }[]} */
+  const keys = list.keys;
+
+  return keys
+    .map(key => ({
+      id: key.name.slice(key.name.lastIndexOf(':') + 1),
+      name: key.metadata ? key.metadata.name : '',
+      itemCount: key.metadata ? key.metadata.itemCount : 0,
+      updatedAt: key.metadata ? key.metadata.updatedAt : 0
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<Collection | null>}
+ */
+export async function getCollection(env, userId, id) {
+  const data = await env.IMAGE_STORE.get(collectionKey(userId, id));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {{ name?: string, description?: string }} fields
+ * @returns {Promise<{ error: string } | { collection: Collection }>}
+ */
+export async function createCollection(env, userId, fields) {
+  const existing = await listCollections(env, userId);
+  if (existing.length >= MAX_COLLECTIONS) {
+    return { error: `At most ${MAX_COLLECTIONS} collections are allowed` };
+  }
+
+  const now = Date.now();
+  /** @type {Collection} */
+  const collection = {
+    id: crypto.randomUUID(),
+    name: fields.name || '',
+    description: fields.description || '',
+    items: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await putCollection(env, userId, collection);
+  return { collection };
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @param {{ name?: string, description?: string }} fields
+ * @returns {Promise<Collection>}
+ */
+export async function updateCollection(env, userId, collection, fields) {
+  const updated = { ...collection, ...fields, updatedAt: Date.now() };
+  await putCollection(env, userId, updated);
+  return updated;
+}
+
+/**
+ * Delete a collection and unlink it from the history records it contains.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @returns {Promise<void>}
+ */
+export async function deleteCollection(env, userId, collection) {
+  const historyIds = new Set(collection.items.map(item => item.historyId));
+  for (const historyId of historyIds) {
+    await unlinkRecord(env, userId, historyId, collection.id);
+  }
+  await env.IMAGE_STORE.delete(collectionKey(userId, collection.id));
+}
+
+/**
+ * Add images of a history record to a collection.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @param {any} record - History record of the user
+ * @param {number[] | null} indices - 1-based image indices, or null for all images
+ * @returns {Promise<{ error: string } | { collection: Collection }>}
+ */
+export async function addCollectionItems(env, userId, collection, record, indices) {
+  const available = historyImages(record).map(image => image.index);
+  const wanted = indices || available;
+  if (!wanted.every(index => available.includes(index))) {
+    return { error: 'Image index out of range' };
+  }
+
+  const historyId = String(record.timestamp);
+  const now = Date.now();
+  const added = wanted
+    .filter(index => !collection.items.some(item => item.historyId === historyId && item.index === index))
+    .map(index => ({ historyId, index, addedAt: now }));
+  if (collection.items.length + added.length > MAX_COLLECTION_ITEMS) {
+    return { error: `A collection holds at most ${MAX_COLLECTION_ITEMS} images` };
+  }
+
+  const updated = { ...collection, items: [...collection.items, ...added], updatedAt: now };
+  await putCollection(env, userId, updated);
+
+  const collections = record.collections || [];
+  if (!collections.includes(collection.id)) {
+    const linked = { ...record, collections: [...collections, collection.id] };
+    await putHistory(env, userId, linked);
+    await refreshHistoryIndex(env, userId, linked);
+  }
+
+  return { collection: updated };
+}
+
+/**
+ * Remove images of a history record from a collection.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @param {string} historyId
+ * @param {number[] | null} indices - 1-based image indices, or null for all images
+ * @returns {Promise<Collection>}
+ */
+export async function removeCollectionItems(env, userId, collection, historyId, indices) {
+  const items = collection.items.filter(item =>
+    item.historyId !== historyId || (indices !== null && !indices.includes(item.index)));
+  const updated = { ...collection, items, updatedAt: Date.now() };
+  await putCollection(env, userId, updated);
+
+  if (!items.some(item => item.historyId === historyId)) {
+    await unlinkRecord(env, userId, historyId, collection.id);
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a history record that is being deleted from its collections.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function removeFromCollections(env, userId, record) {
+  const historyId = String(record.timestamp);
+  for (const id of record.collections || []) {
+    const collection = await getCollection(env, userId, id);
+    if (collection) {
+      const items = collection.items.filter(item => item.historyId !== historyId);
+      await putCollection(env, userId, { ...collection, items, updatedAt: Date.now() });
+    }
+  }
+}
+
+/**
+ * Images of a collection with their URLs and prompts, in the order they
+ * were added. Images of expired records are skipped.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @returns {Promise<Object[]>}
+ */
+export async function resolveCollectionItems(env, userId, collection) {
+  const historyIds = [...new Set(collection.items.map(item => item.historyId))];
+  const records = await Promise.all(historyIds.map(id => getHistory(env, userId, Number(id))));
+  const images = await Promise.all(records.map(record => record ? signPrivateImages(env, record, historyImages(record)) : []));
+  const byId = new Map(historyIds.map((id, i) => [id, { record: records[i], images: images[i] }]));
+
+  return collection.items.flatMap(item => {
+    const { record, images: recordImages } = byId.get(item.historyId) || { record: null, images: [] };
+    const image = recordImages.find(candidate => candidate.index === item.index);
+    if (!record || !image) {
+      return [];
+    }
+    return [{
+      historyId: item.historyId,
+      index: item.index,
+      r2Key: image.r2Key,
+      url: image.url,
+      thumbnailUrl: image.thumbnailUrl,
+      seed: image.seed,
+      prompt: record.prompt,
+      model: record.model,
+      steps: record.steps,
+      addedAt: item.addedAt
+    }];
+  });
+}
+
+/**
+ * @param {string} userId
+ * @param {string} id
+ * @returns {string}
+ */
+function collectionKey(userId, id) {
+  return `${COLLECTION_PREFIX}${userId}:${id}`;
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {Collection} collection
+ * @returns {Promise<void>}
+ */
+async function putCollection(env, userId, collection) {
+  await env.IMAGE_STORE.put(collectionKey(userId, collection.id), JSON.stringify(collection), {
+    metadata: { name: collection.name, itemCount: collection.items.length, updatedAt: collection.updatedAt }
+  });
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {string} historyId
+ * @param {string} collectionId
+ * @returns {Promise<void>}
+ */
+async function unlinkRecord(env, userId, historyId, collectionId) {
+  const record = await getHistory(env, userId, Number(historyId));
+  if (record && record.collections && record.collections.includes(collectionId)) {
+    const collections = record.collections.filter((/** @type {string} */ id) => id !== collectionId);
+    const unlinked = { ...record, collections };
+    await putHistory(env, userId, unlinked);
+    await refreshHistoryIndex(env, userId, unlinked);
+  }
+}
@@ -0,0 +1,254 @@
+// D1 storage for users and generation history (schema in
+// migrations/0001_initial.sql). Used instead of the KV records when the DB
+// binding is configured; D1 rows do not expire, and history is filtered and
+// paginated in SQL instead of by scanning keys.
+
+/**
+ * Whether the D1 database is bound.
+ *
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function hasDatabase(env) {
+  return Boolean(env.DB);
+}
+
+/**
+ * Insert or update the row of a history record and replace its image rows.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function putGeneration(env, userId, record) {
+  /** @type {string[]} */
+  const r2Keys = record.r2Keys || [];
+
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO generations
+         (user_id, timestamp, prompt, original_prompt, translated_prompt, model, steps, favorite, tags, parent_key, record)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (user_id, timestamp) DO UPDATE SET
+         prompt = excluded.prompt,
+         original_prompt = excluded.original_prompt,
+         translated_prompt = excluded.translated_prompt,
+         model = excluded.model,
+         steps = excluded.steps,
+         favorite = excluded.favorite,
+         tags = excluded.tags,
+         parent_key = excluded.parent_key,
+         record = excluded.record`
+    ).bind(
+      userId,
+      record.timestamp,
+      record.prompt,
+      record.originalPrompt || null,
+      record.translatedPrompt || null,
+      record.model,
+      record.steps,
+      record.favorite ? 1 : 0,
+      JSON.stringify(record.tags || []),
+      record.parentKey || null,
+      JSON.stringify(record)
+    ),
+    env.DB.prepare('DELETE FROM images WHERE user_id = ? AND timestamp = ?').bind(userId, record.timestamp),
+    ...r2Keys.map((r2Key, i) => env.DB.prepare(
+      'INSERT INTO images (r2_key, user_id, timestamp, position, seed) VALUES (?, ?, ?, ?, ?)'
+    ).bind(r2Key, userId, record.timestamp, i, record.seeds ? record.seeds[i] ?? null : null))
+  ]);
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {Promise<any | null>}
+ */
+export async function getGeneration(env, userId, timestamp) {
+  /** @type {{ record: string } | null} */
+  const row = await env.DB.prepare('SELECT record FROM generations WHERE user_id = ? AND timestamp = ?')
+    .bind(userId, timestamp)
+    .first();
+  return row ? JSON.parse(row.record) : null;
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {Promise<void>}
+ */
+export async function deleteGeneration(env, userId, timestamp) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM images WHERE user_id = ? AND timestamp = ?').bind(userId, timestamp),
+    env.DB.prepare('DELETE FROM generations WHERE user_id = ? AND timestamp = ?').bind(userId, timestamp)
+  ]);
+}
+
+/**
+ * Records of a user older than `before`, newest first.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {import('./history.js').HistoryFilters} filters
+ * @param {number} limit
+ * @param {number} [before] - Exclusive upper bound of the timestamps, for the next page
+ * @returns {Promise<{ items: any[], more: boolean }>}
+ */
+export async function listGenerations(env, userId, filters, limit, before) {
+  const conditions = ['user_id = ?'];
+  /** @type {(string | number)[]} */
+  const params = [userId];
+
+  if (before !== undefined) {
+    conditions.push('timestamp < ?');
+    params.push(before);
+  }
+  if (filters.from !== undefined) {
+    conditions.push('timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to !== undefined) {
+    conditions.push('timestamp <= ?');
+    params.push(filters.to);
+  }
+  if (filters.steps !== undefined) {
+    conditions.push('steps = ?');
+    params.push(filters.steps);
+  }
+  if (filters.model) {
+    conditions.push('model = ?');
+    params.push(filters.model);
+  }
+  if (filters.favorite) {
+    conditions.push('favorite = 1');
+  }
+  if (filters.tag) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(generations.tags) WHERE json_each.value = ?)');
+    params.push(filters.tag);
+  }
+  if (filters.q) {
+    // instr() rather than LIKE, so % and _ in the query are not wildcards
+    conditions.push(`(instr(lower(prompt), ?) > 0
+      OR instr(lower(coalesce(original_prompt, '')), ?) > 0
+      OR instr(lower(coalesce(translated_prompt, '')), ?) > 0)`);
+    params.push(filters.q, filters.q, filters.q);
+  }
+
+  // One extra row tells whether there is a next page
+  const { results } = await env.DB.prepare(
+    `SELECT record FROM generations WHERE ${conditions.join(' AND ')} ORDER BY timestamp DESC LIMIT ?`
+  ).bind(...params, limit + 1).all();
+  /** @type {{ record: string }[]} */
+  const rows = results;
+
+  return {
+    items: rows.slice(0, limit).map(row => JSON.parse(row.record)),
+    more: rows.length > limit
+  };
+}
+
+/**
+ * Prompts of a user's newest generations, for keyword search.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<{ timestamp: number, prompt: string, originalPrompt?: string, translatedPrompt?: string }[]>}
+ */
+export async function listGenerationPrompts(env, userId, limit) {
+  const { results } = await env.DB.prepare(
+    `SELECT timestamp, prompt, original_prompt, translated_prompt FROM generations
+     WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?`
+  ).bind(userId, limit).all();
+  /** @type {{ timestamp: number, prompt: string, original_prompt: string | null, translated_prompt: string | null }[]} */
+  const rows = results;
+
+  return rows.map(row => ({
+    timestamp: row.timestamp,
+    prompt: row.prompt,
+    ...(row.original_prompt ? { originalPrompt: row.original_prompt } : {}),
+    ...(row.translated_prompt ? { translatedPrompt: row.translated_prompt } : {})
+  }));
+}
+
+/**
+ * R2 keys of every generation of every user.
+ *
+ * @param {any} env
+ * @returns {Promise<import('./history.js').HistoryImages[]>}
+ */
+export async function listGenerationImages(env) {
+  const { results } = await env.DB.prepare(
+    `SELECT g.user_id, g.timestamp, g.parent_key, i.r2_key
+     FROM generations g LEFT JOIN images i ON i.user_id = g.user_id AND i.timestamp = g.timestamp
+     ORDER BY g.user_id, g.timestamp, i.position`
+  ).all();
+  /** @type {{ user_id: string, timestamp: number, parent_key: string | null, r2_key: string | null }[]} */
+  const rows = results;
+
+  /** @type {Map<string, import('./history.js').HistoryImages>} */
+  const generations = new Map();
+  for (const row of rows) {
+    const id = `${row.user_id}:${row.timestamp}`;
+    let generation = generations.get(id);
+    if (!generation) {
+      generation = { userId: row.user_id, timestamp: row.timestamp, r2Keys: [], parentKey: row.parent_key };
+      generations.set(id, generation);
+    }
+    if (row.r2_key) {
+      generation.r2Keys.push(row.r2_key);
+    }
+  }
+  return [...generations.values()];
+}
+
+/**
+ * @param {any} env
+ * @param {string} id
+ * @returns {Promise<import('./users.js').UserRecord | null>}
+ */
+export async function getUserRow(env, id) {
+  const row = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(id).first();
+  return row ? userFromRow(row) : null;
+}
+
+/**
+ * @param {any} env
+ * @param {string} provider
+ * @param {string} externalId
+ * @returns {Promise<import('./users.js').UserRecord | null>}
+ */
+export async function findUserRow(env, provider, externalId) {
+  const row = await env.DB.prepare('SELECT * FROM users WHERE provider = ? AND external_id = ?')
+    .bind(provider, externalId)
+    .first();
+  return row ? userFromRow(row) : null;
+}
+
+/**
+ * @param {any} env
+ * @param {import('./users.js').UserRecord} user
+ * @returns {Promise<void>}
+ */
+export async function insertUser(env, user) {
+  await env.DB.prepare('INSERT INTO users (id, name, provider, external_id, created_at) VALUES (?, ?, ?, ?, ?)')
+    .bind(user.id, user.name, user.provider, user.externalId, user.createdAt)
+    .run();
+}
+
+/**
+ * @param {any} row
+ * @returns {import('./users.js').UserRecord}
+ */
+function userFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    provider: row.provider,
+    externalId: row.external_id,
+    createdAt: row.created_at
+  };
+}
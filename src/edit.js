@@ -0,0 +1,157 @@
+// Request parsing for the image editing endpoints, POST /api/img2img and
+// POST /api/inpaint. The source image is either uploaded as multipart form
+// data or referenced by the R2 key of an earlier generation; inpainting also
+// takes a mask (multipart file, or base64 in JSON bodies).
+
+import { parseGenerateOptions } from './generation.js';
+import { base64ToBytes } from './models.js';
+import { ownerId, ownerFromKey, canAccess } from './users.js';
+import { parseImageKey } from './images.js';
+
+// Largest source image or mask accepted, in bytes
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Form fields that are sent as strings but validated as numbers
+const NUMERIC_FIELDS = ['steps', 'numImages', 'seed', 'width', 'height', 'guidance', 'strength'];
+
+// Form fields that are sent as "true" or "false" but validated as booleans
+const BOOLEAN_FIELDS = ['private', 'enhancePrompt'];
+
+/**
+ * Parse and validate an img2img or inpainting request. Uploaded source
+ * images get a key under `uploads/<userId>/` so results can link back to
+ * them; saveHistory stores them there once a result is saved, so rejected
+ * or failed requests leave nothing behind.
+ *
+ * @param {Request} request
+ * @param {any} env
+ * @param {'img2img' | 'inpainting'} task
+ * @param {import('./auth.js').AuthContext | null} auth - null when auth is disabled
+ * @returns {Promise<{ error: string, status: number } | { options: import('./generation.js').GenerateOptions }>}
+ */
+export async function parseEditRequest(request, env, task, auth) {
+  const contentType = request.headers.get('Content-Type') || '';
+  const isMultipart = contentType.includes('multipart/form-data');
+
+  /** @type {Record<string, any>} */
+  let fields;
+  /** @type {Uint8Array | null} */
+  let sourceImage = null;
+  /** @type {Uint8Array | null} */
+  let mask = null;
+  let parentKey = null;
+  // Results of a private source image are private too
+  let sourcePrivate = false;
+
+  if (isMultipart) {
+    const form = await request.formData();
+    /** @type {Record<string, any>} */
+    const formFields = {};
+    form.forEach((value, name) => {
+      if (typeof value === 'string' && BOOLEAN_FIELDS.includes(name) && ['true', 'false'].includes(value)) {
+        formFields[name] = value === 'true';
+      } else if (typeof value === 'string') {
+        formFields[name] = NUMERIC_FIELDS.includes(name) && value !== '' ? Number(value) : value;
+      }
+    });
+    fields = formFields;
+
+    const image = form.get('image');
+    if (image && typeof image !== 'string') {
+      sourceImage = new Uint8Array(await image.arrayBuffer());
+    }
+    const maskFile = form.get('mask');
+    if (maskFile && typeof maskFile !== 'string') {
+      mask = new Uint8Array(await maskFile.arrayBuffer());
+    }
+  } else {
+    fields = await request.json();
+    if (!fields || typeof fields !== 'object') {
+      return { error: 'Request body must be a JSON object', status: 400 };
+    }
+    if (typeof fields.mask === 'string') {
+      try {
+        mask = base64ToBytes(fields.mask.replace(/^data:[^,]*,/, ''));
+      } catch (error) {
+        return { error: 'Mask must be base64 encoded', status: 400 };
+      }
+    }
+  }
+
+  if (!sourceImage) {
+    if (!fields.r2Key) {
+      return { error: 'A source image upload or r2Key is required', status: 400 };
+    }
+
+    const parsedKey = typeof fields.r2Key === 'string' ? parseImageKey(fields.r2Key) : { error: 'r2Key must be a string' };
+    if ('error' in parsedKey) {
+      return { error: parsedKey.error, status: 400 };
+    }
+
+    // Other users' images are reported as missing rather than forbidden
+    const object = canAccess(auth, ownerFromKey(parsedKey.key))
+      ? await env.IMAGES_BUCKET.get(parsedKey.key)
+      : null;
+    if (!object) {
+      return { error: 'Source image not found', status: 404 };
+    }
+    sourceImage = new Uint8Array(await object.arrayBuffer());
+    parentKey = parsedKey.key;
+    sourcePrivate = Boolean(object.customMetadata && object.customMetadata.private === 'true');
+  }
+
+  if (sourceImage.length > MAX_UPLOAD_BYTES) {
+    return { error: 'Source image must be at most 5 MB', status: 413 };
+  }
+
+  if (task === 'inpainting') {
+    if (!mask) {
+      return { error: 'A mask image is required for inpainting', status: 400 };
+    }
+    if (mask.length > MAX_UPLOAD_BYTES) {
+      return { error: 'Mask image must be at most 5 MB', status: 413 };
+    }
+  }
+
+  const body = { ...fields };
+  delete body.mask;
+  delete body.r2Key;
+  if (sourcePrivate) {
+    body.private = true;
+  }
+  const parsed = parseGenerateOptions(body, task, ownerId(auth), env);
+  if ('error' in parsed) {
+    return { error: parsed.error, status: 400 };
+  }
+
+  // Keep an upload so generated results can reference their parent
+  const upload = parentKey
+    ? { parentKey }
+    : {
+      parentKey: `uploads/${parsed.options.userId}/${Date.now()}-${crypto.randomUUID()}`,
+      uploadType: sniffImageType(sourceImage)
+    };
+
+  return {
+    options: {
+      ...parsed.options,
+      sourceImage,
+      mask: task === 'inpainting' && mask ? mask : undefined,
+      ...upload
+    }
+  };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function sniffImageType(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return 'image/jpeg';
+  }
+  if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[8] === 0x57 && bytes[9] === 0x45) {
+    return 'image/webp';
+  }
+  return 'image/png';
+}
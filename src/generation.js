@@ -0,0 +1,567 @@
+// Image generation pipeline shared by the synchronous /api/generate route,
+// background generation jobs and the img2img/inpainting endpoints
+
+import {
+  DEFAULT_MODEL_BY_TASK,
+  getModel,
+  validateModelOptions,
+  resolveDimensions,
+  buildModelInputs,
+  decodeImageOutput
+} from './models.js';
+import { enhancePrompt, detectLanguage, translateToEnglish } from './prompt.js';
+import { ANONYMOUS_USER_ID } from './users.js';
+import { putHistory } from './history.js';
+import { indexHistory } from './search.js';
+import { storeThumbnail, canSignImageUrls, signImageKey, THUMBNAIL_SIZE } from './images.js';
+
+// Largest seed accepted by the Workers AI image models (unsigned 32-bit)
+export const MAX_SEED = 4294967295;
+
+// Concurrent Workers AI calls per batch when GENERATION_CONCURRENCY is unset
+const DEFAULT_CONCURRENCY = 2;
+
+// Route serving stored images, see ./images.js
+const IMAGE_PATH = '/api/image/';
+
+/**
+ * @typedef {import('./models.js').ModelDefinition} ModelDefinition
+ */
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {import('./models.js').ModelTask} task
+ * @property {string} userId - Owner of the generated images and history record
+ * @property {string} prompt - Prompt sent to the model
+ * @property {string} [originalPrompt] - What the user typed, when the prompt was enhanced
+ * @property {boolean} enhancePrompt - Expand the prompt with a text model before generating
+ * @property {'auto' | 'off'} translate - Translate non-English prompts to English before generating
+ * @property {string} [translatedPrompt] - English translation, when the prompt was translated
+ * @property {string} [sourceLanguage] - Detected language of the prompt, when it was translated
+ * @property {ModelDefinition} model
+ * @property {number} steps
+ * @property {number} numImages
+ * @property {number} width
+ * @property {number} height
+ * @property {number | null} seed - Base seed, or null to pick a random seed per image
+ * @property {number} [guidance]
+ * @property {string} [negativePrompt]
+ * @property {number} [strength] - How far edits may depart from the source image
+ * @property {Uint8Array} [sourceImage] - Source image bytes for img2img/inpainting
+ * @property {Uint8Array} [mask] - Inpainting mask; white areas are repainted
+ * @property {string} [parentKey] - R2 key of the source image the results derive from
+ * @property {string} [uploadType] - Content type of an uploaded source image, which saveHistory stores at parentKey
+ * @property {boolean} private - Serve the images only through signed URLs
+ * @property {ResponseFormat} responseFormat
+ */
+
+/**
+ * How generated images are returned to the client: `url` links to
+ * /api/image/<key>, `base64` inlines the PNG, `both` does both.
+ *
+ * @typedef {'url' | 'base64' | 'both'} ResponseFormat
+ */
+
+const RESPONSE_FORMATS = ['url', 'base64', 'both'];
+
+const TRANSLATE_MODES = ['auto', 'off'];
+
+/**
+ * @typedef {Object} GeneratedImage
+ * @property {string} base64 - `data:` URL of the PNG
+ * @property {string} r2Key
+ * @property {string | null} thumbKey - R2 key of the WebP thumbnail, if one was written
+ * @property {number} index - 1-based position in the batch
+ * @property {number} seed
+ */
+
+/**
+ * @typedef {Object} FailedImage
+ * @property {number} index - 1-based position in the batch
+ * @property {number} seed - Seed the image was attempted with, for retries
+ * @property {string} error
+ */
+
+/**
+ * Validate a generation request body.
+ *
+ * @param {any} body - Parsed JSON request body
+ * @param {import('./models.js').ModelTask} [task] - Task the chosen model must serve
+ * @param {string} [userId] - Owner of the generation, see ownerId in ./users.js
+ * @param {any} [env] - Private generations need IMAGE_URL_SECRET in it
+ * @returns {{ error: string } | { options: GenerateOptions }}
+ */
+export function parseGenerateOptions(body, task = 'text-to-image', userId = ANONYMOUS_USER_ID, env = {}) {
+  const {
+    prompt,
+    model: modelId = DEFAULT_MODEL_BY_TASK[task],
+    steps,
+    numImages = 1,
+    seed,
+    width,
+    height,
+    aspectRatio,
+    guidance,
+    negativePrompt,
+    strength,
+    enhancePrompt: enhance = false,
+    translate = 'auto',
+    originalPrompt,
+    private: isPrivate = false,
+    responseFormat = 'url'
+  } = body || {};
+
+  if (!prompt || prompt.length < 1 || prompt.length > 2048) {
+    return { error: 'Prompt must be between 1 and 2048 characters' };
+  }
+
+  if (originalPrompt !== undefined && (typeof originalPrompt !== 'string' || originalPrompt.length > 2048)) {
+    return { error: 'Original prompt must be a string of at most 2048 characters' };
+  }
+
+  const model = getModel(modelId);
+  if (!model || model.task !== task) {
+    return { error: `Unsupported model: ${modelId}` };
+  }
+
+  const stepCount = steps === undefined ? model.steps.default : numericField(steps);
+  const modelError = validateModelOptions(model, { steps: stepCount, guidance, negativePrompt, strength });
+  if (modelError) {
+    return { error: modelError };
+  }
+
+  const dimensions = resolveDimensions(model, { width, height, aspectRatio });
+  if ('error' in dimensions) {
+    return { error: dimensions.error };
+  }
+
+  const imageCount = numericField(numImages);
+  if (!Number.isInteger(imageCount) || imageCount < 1 || imageCount > 4) {
+    return { error: 'Number of images must be an integer between 1 and 4' };
+  }
+
+  if (seed !== undefined && seed !== null && !isValidSeed(seed)) {
+    return { error: `Seed must be an integer between 0 and ${MAX_SEED}` };
+  }
+
+  if (!TRANSLATE_MODES.includes(translate)) {
+    return { error: `Translate must be one of: ${TRANSLATE_MODES.join(', ')}` };
+  }
+
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    return { error: `Response format must be one of: ${RESPONSE_FORMATS.join(', ')}` };
+  }
+
+  if (typeof enhance !== 'boolean') {
+    return { error: 'Enhance prompt must be a boolean' };
+  }
+
+  if (typeof isPrivate !== 'boolean') {
+    return { error: 'Private must be a boolean' };
+  }
+
+  if (isPrivate && !canSignImageUrls(env)) {
+    return { error: 'Private generations require the IMAGE_URL_SECRET secret' };
+  }
+
+  return {
+    options: {
+      task,
+      userId,
+      prompt,
+      originalPrompt,
+      enhancePrompt: enhance,
+      translate,
+      model,
+      steps: stepCount,
+      numImages: imageCount,
+      width: dimensions.width,
+      height: dimensions.height,
+      seed: seed === undefined ? null : seed,
+      guidance,
+      negativePrompt,
+      strength,
+      private: isPrivate,
+      responseFormat
+    }
+  };
+}
+
+/**
+ * Number of a numeric body field. Form fields arrive as strings, so "2" is
+ * accepted; other types and blank strings give NaN, and callers check for
+ * an integer, so "2.5", "2abc" and true are rejected rather than truncated.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+function numericField(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+/**
+ * Run the prompt stages that need Workers AI calls before generation:
+ * translation of non-English prompts, then optional enhancement.
+ *
+ * @param {any} env
+ * @param {GenerateOptions} options
+ * @returns {Promise<GenerateOptions>}
+ */
+export async function preparePrompt(env, options) {
+  const prepared = { ...options };
+
+  if (options.translate === 'auto') {
+    const sourceLanguage = detectLanguage(options.prompt);
+    if (sourceLanguage !== 'en') {
+      prepared.translatedPrompt = await translateToEnglish(env, options.prompt, sourceLanguage);
+      prepared.sourceLanguage = sourceLanguage;
+      prepared.prompt = prepared.translatedPrompt;
+    }
+  }
+
+  if (options.enhancePrompt) {
+    prepared.prompt = await enhancePrompt(env, prepared.prompt);
+  }
+
+  if (prepared.prompt !== options.prompt) {
+    prepared.originalPrompt = options.originalPrompt || options.prompt;
+  }
+
+  return prepared;
+}
+
+/**
+ * Generate a single image of a batch and store it in R2.
+ *
+ * @param {any} env
+ * @param {GenerateOptions} options
+ * @param {number} timestamp - Batch timestamp used in the R2 key
+ * @param {number} i - 0-based position in the batch
+ * @param {number} imageSeed
+ * @returns {Promise<GeneratedImage>}
+ */
+export async function generateImage(env, options, timestamp, i, imageSeed) {
+  const { prompt, model, steps, numImages, width, height } = options;
+
+  // Call Cloudflare Workers AI for the image
+  const output = await env.AI.run(model.id, buildModelInputs(model, {
+    prompt,
+    steps,
+    seed: imageSeed,
+    width,
+    height,
+    guidance: options.guidance,
+    negativePrompt: options.negativePrompt,
+    strength: options.strength,
+    sourceImage: options.sourceImage,
+    mask: options.mask
+  }));
+
+  const { bytes, base64 } = await decodeImageOutput(model, output);
+
+  // Store image in R2, under the owner's prefix. The random part keeps keys
+  // from being guessed; the batch position stays at the end for historyImages
+  const imageKey = `images/${options.userId}/${crypto.randomUUID().replace(/-/g, '')}-${i + 1}.png`;
+
+  /** @type {Record<string, string>} */
+  const lineage = options.parentKey
+    ? { task: options.task, parentKey: options.parentKey }
+    : {};
+
+  /** @type {Record<string, string>} */
+  const translation = options.translatedPrompt
+    ? { originalPrompt: options.originalPrompt || '', translatedPrompt: options.translatedPrompt, sourceLanguage: options.sourceLanguage || '' }
+    : {};
+
+  const thumbKey = await storeThumbnail(env, imageKey, bytes, options.private);
+
+  await env.IMAGES_BUCKET.put(imageKey, bytes, {
+    httpMetadata: {
+      contentType: 'image/png',
+      cacheControl: 'public, max-age=31536000', // 1 year cache
+    },
+    customMetadata: {
+      ...lineage,
+      ...translation,
+      userId: options.userId,
+      prompt: prompt,
+      model: model.id,
+      steps: steps.toString(),
+      width: width.toString(),
+      height: height.toString(),
+      timestamp: timestamp.toString(),
+      imageIndex: (i + 1).toString(),
+      totalImages: numImages.toString(),
+      seed: imageSeed.toString(),
+      ...(thumbKey ? { thumbKey } : {}),
+      ...(options.private ? { private: 'true' } : {})
+    }
+  });
+
+  return {
+    base64: `data:image/png;base64,${base64}`,
+    r2Key: imageKey,
+    thumbKey,
+    index: i + 1,
+    seed: imageSeed
+  };
+}
+
+/**
+ * Generate every image of a batch, running up to GENERATION_CONCURRENCY
+ * model calls at once. Failed images are collected rather than thrown so
+ * the rest of the batch still completes.
+ *
+ * @param {any} env
+ * @param {GenerateOptions} options
+ * @param {number} timestamp
+ * @param {{
+ *   onImage?: (image: GeneratedImage) => unknown,
+ *   onError?: (failure: FailedImage) => unknown
+ * }} [hooks]
+ * @returns {Promise<{ images: GeneratedImage[], failures: FailedImage[] }>}
+ */
+export async function generateBatch(env, options, timestamp, hooks = {}) {
+  /** @type {GeneratedImage[]} */
+  const images = [];
+  /** @type {FailedImage[]} */
+  const failures = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < options.numImages) {
+      const i = next++;
+
+      // A fixed seed yields consecutive seeds per image so a batch
+      // stays reproducible without producing identical images
+      const imageSeed = options.seed === null
+        ? randomSeed()
+        : (options.seed + i) % (MAX_SEED + 1);
+
+      let image;
+      try {
+        image = await generateImage(env, options, timestamp, i, imageSeed);
+      } catch (error) {
+        console.error(`Failed to generate image ${i + 1}:`, error);
+        const failure = { index: i + 1, seed: imageSeed, error: /** @type {Error} */ (error).message };
+        failures.push(failure);
+        if (hooks.onError) {
+          await hooks.onError(failure);
+        }
+        continue;
+      }
+
+      images.push(image);
+      if (hooks.onImage) {
+        await hooks.onImage(image);
+      }
+    }
+  };
+
+  const concurrency = Math.min(getConcurrency(env), options.numImages);
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  images.sort((a, b) => a.index - b.index);
+  failures.sort((a, b) => a.index - b.index);
+  return { images, failures };
+}
+
+/**
+ * Per-image status of a batch, in batch order.
+ *
+ * @param {GeneratedImage[]} images
+ * @param {FailedImage[]} failures
+ * @returns {Object[]}
+ */
+export function batchResults(images, failures) {
+  return [
+    ...images.map(image => ({ index: image.index, status: 'ok', r2Key: image.r2Key, seed: image.seed })),
+    ...failures.map(failure => ({ ...failure, status: 'failed' }))
+  ].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * @param {string} r2Key
+ * @returns {string} Path serving the image through /api/image/
+ */
+export function imageUrl(r2Key) {
+  return `${IMAGE_PATH}${r2Key}`;
+}
+
+/**
+ * @param {string} r2Key
+ * @param {string | null} [thumbKey] - Thumbnail written with the image
+ * @returns {string} Path serving a thumbnail of the image; a cached variant
+ *   for images stored before thumbnails were written, or without the binding
+ */
+export function thumbnailUrl(r2Key, thumbKey) {
+  return thumbKey ? imageUrl(thumbKey) : `${imageUrl(r2Key)}?w=${THUMBNAIL_SIZE}&format=webp`;
+}
+
+/**
+ * Shape a generated image for an API response according to `responseFormat`.
+ *
+ * @param {GeneratedImage} image
+ * @param {ResponseFormat} responseFormat
+ * @returns {Object}
+ */
+export function formatImage(image, responseFormat) {
+  const { base64, ...rest } = image;
+  /** @type {Record<string, unknown>} */
+  const formatted = { ...rest };
+
+  if (responseFormat !== 'base64') {
+    formatted.url = imageUrl(image.r2Key);
+    formatted.thumbnailUrl = thumbnailUrl(image.r2Key, image.thumbKey);
+  }
+  if (responseFormat !== 'url') {
+    formatted.base64 = base64;
+  }
+
+  return formatted;
+}
+
+/**
+ * Images of a history record, in the shape of the `images` of a response.
+ *
+ * @param {{ r2Keys: string[], thumbKeys?: (string | null)[], seeds?: number[], favorite?: boolean, favoriteImages?: number[] }} record
+ * @returns {{ index: number, r2Key: string, url: string, thumbnailUrl: string, seed: number | null, favorite: boolean }[]}
+ */
+export function historyImages(record) {
+  return record.r2Keys.map((r2Key, i) => {
+    // Failed images leave gaps, so the batch position comes from the key
+    const index = Number((r2Key.match(/-(\d+)\.png$/) || [])[1]) || i + 1;
+    return {
+      index,
+      r2Key,
+      url: imageUrl(r2Key),
+      thumbnailUrl: thumbnailUrl(r2Key, record.thumbKeys ? record.thumbKeys[i] : null),
+      seed: record.seeds ? record.seeds[i] : null,
+      // Records starred before per-image stars have every image starred
+      favorite: record.favoriteImages ? record.favoriteImages.includes(index) : Boolean(record.favorite)
+    };
+  });
+}
+
+/**
+ * Sign the URLs of images of a private generation, so they can be loaded
+ * without credentials until they expire. Images of other generations are
+ * returned as they are.
+ *
+ * @template {{ url?: string, thumbnailUrl?: string }} T
+ * @param {any} env
+ * @param {{ private?: boolean }} generation - History record, job or options of the generation
+ * @param {T[]} images
+ * @returns {Promise<T[]>}
+ */
+export async function signPrivateImages(env, generation, images) {
+  if (!generation.private) {
+    return images;
+  }
+
+  return Promise.all(images.map(async image => ({
+    ...image,
+    ...(image.url ? { url: await signUrl(env, image.url) } : {}),
+    ...(image.thumbnailUrl ? { thumbnailUrl: await signUrl(env, image.thumbnailUrl) } : {})
+  })));
+}
+
+/**
+ * History record as listed by the history and search routes, with the full
+ * size and thumbnail URLs of its images. Records from before images were
+ * stored in R2 have no `r2Keys` and are returned as they are.
+ *
+ * @param {any} env
+ * @param {any} record
+ * @returns {Promise<any>}
+ */
+export async function withHistoryImages(env, record) {
+  return record.r2Keys
+    ? { ...record, images: await signPrivateImages(env, record, historyImages(record)) }
+    : record;
+}
+
+/**
+ * Store the metadata of a finished batch in KV for history, and the uploaded
+ * source image of an edit, now that a result references it.
+ *
+ * @param {any} env
+ * @param {GenerateOptions} options
+ * @param {number} timestamp
+ * @param {GeneratedImage[]} images
+ * @param {FailedImage[]} [failures]
+ * @returns {Promise<Object>} The stored history record
+ */
+export async function saveHistory(env, options, timestamp, images, failures = []) {
+  const record = {
+    userId: options.userId,
+    ...(options.parentKey ? { task: options.task, parentKey: options.parentKey } : {}),
+    prompt: options.prompt,
+    ...(options.originalPrompt ? { originalPrompt: options.originalPrompt } : {}),
+    ...(options.translatedPrompt
+      ? { translatedPrompt: options.translatedPrompt, sourceLanguage: options.sourceLanguage }
+      : {}),
+    model: options.model.id,
+    steps: options.steps,
+    numImages: options.numImages,
+    width: options.width,
+    height: options.height,
+    timestamp,
+    r2Keys: images.map(image => image.r2Key),
+    ...(images.some(image => image.thumbKey) ? { thumbKeys: images.map(image => image.thumbKey) } : {}),
+    seeds: images.map(image => image.seed),
+    ...(options.private ? { private: true } : {}),
+    generatedCount: images.length,
+    failedIndices: failures.map(failure => failure.index)
+  };
+
+  if (options.uploadType && options.parentKey && options.sourceImage) {
+    await env.IMAGES_BUCKET.put(options.parentKey, options.sourceImage, {
+      httpMetadata: { contentType: options.uploadType },
+      ...(options.private ? { customMetadata: { private: 'true' } } : {})
+    });
+  }
+
+  await putHistory(env, options.userId, record);
+  await indexHistory(env, options.userId, record);
+
+  return record;
+}
+
+/**
+ * @param {any} env
+ * @returns {number}
+ */
+function getConcurrency(env) {
+  const value = parseInt(env.GENERATION_CONCURRENCY);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * @param {number} seed
+ * @returns {boolean}
+ */
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * @returns {number}
+ */
+function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * @param {any} env
+ * @param {string} url - Path under IMAGE_PATH, possibly with variant parameters
+ * @returns {Promise<string>}
+ */
+async function signUrl(env, url) {
+  const [path, query] = url.split('?');
+  const signature = await signImageKey(env, path.slice(IMAGE_PATH.length));
+  return `${path}?${query ? `${query}&` : ''}${signature}`;
+}
@@ -0,0 +1,846 @@
+// Generation history. Records live in D1 when the DB binding is configured
+// (./db.js) and in KV otherwise.
+//
+// KV records are stored as `history:<userId>:<inverted timestamp>`, so the
+// lexicographic order of KV list results is newest first and a listing can
+// stop as soon as it has a page. Filterable fields, the R2 keys of the
+// images and the search terms of the prompts (./terms.js) are copied into
+// the key metadata, so only matching records are fetched and reconciliation
+// and search get by with key listings.
+
+import {
+  hasDatabase,
+  putGeneration,
+  getGeneration,
+  deleteGeneration,
+  listGenerations,
+  listGenerationImages,
+  listGenerationPrompts
+} from './db.js';
+import { deleteImageVariants } from './images.js';
+import { ADMIN_USER_ID } from './users.js';
+import { recordTerms } from './terms.js';
+
+const HISTORY_PREFIX = 'history:';
+const HISTORY_TTL = 86400 * 30; // 30 days
+const MIN_RETENTION = 86400 * 7; // 7 days
+
+// Timestamps are subtracted from this and zero-padded to a fixed width
+const MAX_TIMESTAMP = 9999999999999;
+const TIMESTAMP_WIDTH = 13;
+
+// Records written before user accounts are keyed `history:<timestamp>`; they
+// belong to the admin and are moved under its prefix by migrateLegacyHistory.
+// Their timestamps all start with 1, so listing that prefix finds them
+const LEGACY_KEY = /^history:\d{13}$/;
+const LEGACY_PREFIX = `${HISTORY_PREFIX}1`;
+const LEGACY_MIGRATED_KEY = 'migration:legacy-history';
+
+// Legacy records moved per run, three KV operations each
+const LEGACY_MIGRATION_BATCH = 50;
+
+// Keys fetched per KV list call; cursors are only valid for this page size
+const LIST_PAGE_SIZE = 100;
+
+// Keys examined per request before returning a partial page with a cursor,
+// so a filter that matches nothing cannot scan the whole namespace at once
+const MAX_SCANNED_KEYS = 1000;
+
+// Records read per request. Text and tag filters are only checked on the
+// record, one KV read each, and a Worker invocation is limited to 1000 KV
+// operations in total
+const MAX_FETCHED_RECORDS = 100;
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 50;
+
+// Records whose terms a keyword search compares, newest first
+const MAX_SEARCHED_RECORDS = 5000;
+
+// KV key metadata is limited to 1024 bytes of JSON; search terms get what
+// the other fields leave
+const MAX_METADATA_BYTES = 1024;
+
+// Records written before their key metadata listed their images, read and
+// rewritten per reconciliation at two KV operations each
+const MAX_BACKFILLED_RECORDS = 250;
+
+// KV list calls per reconciliation, 1000 history keys each
+const MAX_LISTED_PAGES = 100;
+
+// Records removed per bulk delete request. Deleting one takes about five
+// KV operations, plus two per collection it is in, and an invocation is
+// limited to 1000
+export const MAX_BULK_DELETE = 50;
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * @typedef {Object} HistoryFilters
+ * @property {number} [from] - Earliest timestamp, inclusive
+ * @property {number} [to] - Latest timestamp, inclusive
+ * @property {number} [steps]
+ * @property {string} [model]
+ * @property {string} [q] - Case-insensitive text searched in the prompts
+ * @property {string} [tag] - Only records with this tag
+ * @property {boolean} [favorite] - Only starred records
+ */
+
+/**
+ * @typedef {Object} HistoryPage
+ * @property {Object[]} items - History records, newest first
+ * @property {string | null} cursor - Pass back to get the next page; null on the last page
+ */
+
+/**
+ * @typedef {Object} HistoryImages
+ * @property {string} userId
+ * @property {number} timestamp
+ * @property {string[]} r2Keys
+ * @property {string | null} parentKey - Uploaded or generated source image of an edit
+ */
+
+/**
+ * Fields of a history record that storage looks at.
+ *
+ * @typedef {Object} HistoryRecord
+ * @property {number} timestamp
+ * @property {string} model
+ * @property {number} steps
+ * @property {string} [prompt]
+ * @property {string[]} [r2Keys]
+ * @property {string} [parentKey]
+ * @property {boolean} [favorite]
+ * @property {number[]} [favoriteImages] - 1-based indices of the starred images
+ * @property {string[]} [collections]
+ */
+
+/**
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function historyKey(userId, timestamp) {
+  const inverted = String(MAX_TIMESTAMP - timestamp).padStart(TIMESTAMP_WIDTH, '0');
+  return `${HISTORY_PREFIX}${userId}:${inverted}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {number}
+ */
+export function timestampFromKey(key) {
+  return MAX_TIMESTAMP - parseInt(key.slice(key.lastIndexOf(':') + 1), 10);
+}
+
+/**
+ * Unix time in seconds at which the record of a batch expires. Derived from
+ * the timestamp so rewriting a record does not extend its lifetime, except
+ * that a record is always kept for MIN_RETENTION after it is written: one
+ * that is unstarred or leaves its last collection after its 30 days would
+ * otherwise disappear at once, without a chance to star it again.
+ *
+ * @param {number} timestamp
+ * @returns {number}
+ */
+function historyExpiration(timestamp) {
+  return Math.max(Math.floor(timestamp / 1000) + HISTORY_TTL, Math.floor(Date.now() / 1000) + MIN_RETENTION);
+}
+
+/**
+ * KV write options giving an entry the lifetime of a history record, for
+ * the record itself and the search data stored next to it.
+ *
+ * @param {any} env
+ * @param {{ timestamp: number, favorite?: boolean, collections?: string[] }} record
+ * @returns {{ expiration?: number }}
+ */
+export function historyExpirationOptions(env, record) {
+  const pinned = record.favorite || (record.collections && record.collections.length > 0);
+  return pinned || hasDatabase(env) ? {} : { expiration: historyExpiration(record.timestamp) };
+}
+
+/**
+ * Whether a record of this timestamp would be kept if it were written now:
+ * always in D1, and in KV until 30 days after generation.
+ *
+ * @param {any} env
+ * @param {number} timestamp
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isHistoryRetained(env, timestamp, now = Date.now()) {
+  return hasDatabase(env) || timestamp + HISTORY_TTL * 1000 > now;
+}
+
+/**
+ * Store a history record. In D1 records are kept until deleted; in KV only
+ * starred records and records in a collection are, and the others expire 30
+ * days after generation.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {HistoryRecord} record
+ * @returns {Promise<void>}
+ */
+export async function putHistory(env, userId, record) {
+  if (hasDatabase(env)) {
+    await putGeneration(env, userId, record);
+    return;
+  }
+
+  await env.IMAGE_STORE.put(historyKey(userId, record.timestamp), JSON.stringify(record), {
+    ...historyExpirationOptions(env, record),
+    metadata: historyMetadata(userId, record)
+  });
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {Promise<any | null>} The history record, or null if it does not exist
+ */
+export async function getHistory(env, userId, timestamp) {
+  if (hasDatabase(env)) {
+    return getGeneration(env, userId, timestamp);
+  }
+
+  const data = await env.IMAGE_STORE.get(historyKey(userId, timestamp));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Delete a history record and the R2 objects it owns: its images, their
+ * thumbnails and cached variants and, for edits of an upload, the uploaded source image.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function deleteHistory(env, userId, record) {
+  /** @type {string[]} */
+  const r2Keys = [...(record.r2Keys || [])];
+  if (record.parentKey && record.parentKey.startsWith('uploads/')) {
+    r2Keys.push(record.parentKey);
+  }
+  if (r2Keys.length > 0) {
+    /** @type {(string | null)[]} */
+    const thumbKeys = record.thumbKeys || [];
+    await env.IMAGES_BUCKET.delete([...r2Keys, ...thumbKeys.filter(key => key !== null)]);
+    await deleteImageVariants(env, r2Keys);
+  }
+  if (hasDatabase(env)) {
+    await deleteGeneration(env, userId, record.timestamp);
+  } else {
+    await env.IMAGE_STORE.delete(historyKey(userId, record.timestamp));
+  }
+}
+
+/**
+ * Validate history query parameters.
+ *
+ * @param {URLSearchParams} params
+ * @returns {{ error: string } | { filters: HistoryFilters, limit: number, cursor: string | null }}
+ */
+export function parseHistoryQuery(params) {
+  /** @type {HistoryFilters} */
+  const filters = {};
+
+  for (const name of /** @type {('from' | 'to')[]} */ (['from', 'to'])) {
+    const value = params.get(name);
+    if (value) {
+      const time = parseTime(value);
+      if (time === null) {
+        return { error: `${name} must be a timestamp or ISO 8601 date` };
+      }
+      filters[name] = time;
+    }
+  }
+
+  const steps = params.get('steps');
+  if (steps) {
+    if (!/^\d+$/.test(steps)) {
+      return { error: 'steps must be an integer' };
+    }
+    filters.steps = Number(steps);
+  }
+
+  const model = params.get('model');
+  if (model) {
+    filters.model = model;
+  }
+
+  const q = params.get('q');
+  if (q) {
+    if (q.length > 200) {
+      return { error: 'q must be at most 200 characters' };
+    }
+    filters.q = q.toLowerCase();
+  }
+
+  const tag = params.get('tag');
+  if (tag) {
+    filters.tag = normalizeTag(tag);
+  }
+
+  const favorite = params.get('favorite');
+  if (favorite && favorite !== 'true' && favorite !== 'false') {
+    return { error: 'favorite must be true or false' };
+  }
+  if (favorite === 'true') {
+    filters.favorite = true;
+  }
+
+  const limitParam = params.get('limit');
+  const limit = limitParam ? Number(limitParam) : DEFAULT_PAGE_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}` };
+  }
+
+  const cursor = params.get('cursor');
+  if (cursor && !decodeCursor(cursor)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { filters, limit, cursor };
+}
+
+/**
+ * @typedef {Object} HistoryUpdate
+ * @property {boolean} [favorite]
+ * @property {number[]} [indices] - 1-based indices of the images `favorite` applies to; all images without it
+ * @property {string[]} [tags]
+ */
+
+/**
+ * Validate the body of a request updating the favorite flag or the tags of a
+ * history record.
+ *
+ * @param {any} body
+ * @returns {{ error: string } | { update: HistoryUpdate }}
+ */
+export function parseHistoryUpdate(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  /** @type {HistoryUpdate} */
+  const update = {};
+
+  if (body.favorite !== undefined) {
+    if (typeof body.favorite !== 'boolean') {
+      return { error: 'favorite must be a boolean' };
+    }
+    update.favorite = body.favorite;
+  }
+
+  /** @type {unknown} */
+  const indices = body.indices;
+  if (indices !== undefined) {
+    if (update.favorite === undefined) {
+      return { error: 'indices requires favorite' };
+    }
+    if (!Array.isArray(indices) || indices.length === 0 ||
+        !indices.every(index => Number.isInteger(index) && index >= 1)) {
+      return { error: 'indices must be a list of 1-based image indices' };
+    }
+    update.indices = [...new Set(/** @type {number[]} */ (indices))];
+  }
+
+  /** @type {unknown} */
+  const tagList = body.tags;
+  if (tagList !== undefined) {
+    if (!Array.isArray(tagList) || !tagList.every(tag => typeof tag === 'string')) {
+      return { error: 'tags must be a list of strings' };
+    }
+    const tags = [...new Set(tagList.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags are allowed` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    update.tags = tags;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: 'Provide favorite or tags' };
+  }
+
+  return { update };
+}
+
+/**
+ * Apply an update to a history record. Stars are kept per image in
+ * `favoriteImages`; `favorite` stays set while any image is starred, so the
+ * record is pinned and found by the favorite filter.
+ *
+ * @param {any} record
+ * @param {HistoryUpdate} update
+ * @param {number[]} available - Indices of the images of the record
+ * @returns {{ error: string } | { record: any }}
+ */
+export function applyHistoryUpdate(record, update, available) {
+  const updated = { ...record };
+
+  if (update.favorite !== undefined) {
+    const wanted = update.indices || available;
+    if (!wanted.every(index => available.includes(index))) {
+      return { error: 'Image index out of range' };
+    }
+    // Records starred before per-image stars have every image starred
+    const starred = record.favoriteImages || (record.favorite ? available : []);
+    const favoriteImages = update.favorite
+      ? [...new Set([...starred, ...wanted])].sort((a, b) => a - b)
+      : starred.filter(/** @param {number} index */ index => !wanted.includes(index));
+    updated.favoriteImages = favoriteImages;
+    updated.favorite = favoriteImages.length > 0;
+  }
+
+  if (update.tags !== undefined) {
+    updated.tags = update.tags;
+  }
+
+  return { record: updated };
+}
+
+/**
+ * Validate the body of a bulk delete request: either a list of ids
+ * (timestamps) or a time range.
+ *
+ * @param {any} body
+ * @returns {{ error: string } | { ids: number[] } | { filters: HistoryFilters }}
+ */
+export function parseBulkDelete(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  if (body.ids !== undefined) {
+    const ids = body.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_DELETE) {
+      return { error: `ids must be a list of 1 to ${MAX_BULK_DELETE} history ids` };
+    }
+    if (!ids.every(id => /^\d+$/.test(String(id)))) {
+      return { error: 'ids must be history timestamps' };
+    }
+    return { ids: [...new Set(ids.map(Number))] };
+  }
+
+  /** @type {HistoryFilters} */
+  const filters = {};
+  for (const name of /** @type {('from' | 'to')[]} */ (['from', 'to'])) {
+    if (body[name] !== undefined) {
+      const time = parseTime(body[name]);
+      if (time === null) {
+        return { error: `${name} must be a timestamp or ISO 8601 date` };
+      }
+      filters[name] = time;
+    }
+  }
+  if (filters.from === undefined && filters.to === undefined) {
+    return { error: 'Provide ids or a from/to time range' };
+  }
+
+  return { filters };
+}
+
+/**
+ * List a user's history, newest first.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {{ filters?: HistoryFilters, limit?: number, cursor?: string | null }} [options]
+ * @returns {Promise<HistoryPage>}
+ */
+export async function listHistory(env, userId, { filters = {}, limit = DEFAULT_PAGE_LIMIT, cursor = null } = {}) {
+  const start = cursor ? decodeCursor(cursor) : null;
+
+  if (hasDatabase(env)) {
+    const page = await listGenerations(env, userId, filters, limit, start ? start.t : undefined);
+    const last = page.items[page.items.length - 1];
+    return { items: page.items, cursor: page.more ? encodeCursor({ t: last.timestamp }) : null };
+  }
+
+  const prefix = `${HISTORY_PREFIX}${userId}:`;
+
+  // Position in the listing: the KV cursor of the current page and how many
+  // of its keys have been consumed
+  let pageCursor = start ? start.c : undefined;
+  let offset = start ? start.o : 0;
+  let scanned = 0;
+  let fetched = 0;
+  /** @type {Object[]} */
+  const items = [];
+
+  for (;;) {
+    const list = await env.IMAGE_STORE.list({ prefix, cursor: pageCursor, limit: LIST_PAGE_SIZE });
+    /** @type {{ name: string, metadata?: any }[]} */
+    const keys = list.keys;
+
+    for (let i = offset; i < keys.length; i++) {
+      if (items.length >= limit || scanned >= MAX_SCANNED_KEYS) {
+        return { items, cursor: encodeCursor({ c: pageCursor || null, o: i }) };
+      }
+      scanned++;
+
+      const timestamp = timestampFromKey(keys[i].name);
+      if (filters.from !== undefined && timestamp < filters.from) {
+        // Keys are newest first, so nothing further can match
+        return { items, cursor: null };
+      }
+      if (!matchesKey(keys[i], timestamp, filters)) {
+        continue;
+      }
+      if (fetched >= MAX_FETCHED_RECORDS) {
+        return { items, cursor: encodeCursor({ c: pageCursor || null, o: i }) };
+      }
+      fetched++;
+
+      const data = await env.IMAGE_STORE.get(keys[i].name);
+      if (!data) {
+        continue;
+      }
+      const record = JSON.parse(data);
+      if (matchesRecord(record, filters)) {
+        items.push(record);
+      }
+    }
+
+    if (list.list_complete) {
+      return { items, cursor: null };
+    }
+    if (items.length >= limit) {
+      return { items, cursor: encodeCursor({ c: list.cursor, o: 0 }) };
+    }
+    pageCursor = list.cursor;
+    offset = 0;
+  }
+}
+
+/**
+ * Up to `limit` records of a user in a time range, for bulk deletion.
+ * Deleting them shifts the listing, so callers start over instead of
+ * continuing from a cursor; `more` tells whether records may remain.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {HistoryFilters} filters
+ * @param {number} limit
+ * @returns {Promise<{ items: any[], more: boolean }>}
+ */
+export async function findHistoryInRange(env, userId, filters, limit) {
+  /** @type {string | null} */
+  let cursor = null;
+  for (;;) {
+    const page = await listHistory(env, userId, { filters, limit, cursor });
+    // A page can come back empty when the scan stops at newer records;
+    // nothing was deleted yet, so its cursor is still valid
+    if (page.items.length > 0 || !page.cursor) {
+      return { items: page.items, more: page.cursor !== null };
+    }
+    cursor = page.cursor;
+  }
+}
+
+/**
+ * Search terms of a user's newest records, for keyword search. KV keys
+ * carry the terms in their metadata; keys written before they did are read
+ * instead, within the limit on records read per request.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @returns {Promise<{ timestamp: number, terms: string[] }[]>} Newest first
+ */
+export async function listHistoryTerms(env, userId) {
+  if (hasDatabase(env)) {
+    const rows = await listGenerationPrompts(env, userId, MAX_SEARCHED_RECORDS);
+    return rows.map(row => ({ timestamp: row.timestamp, terms: recordTerms(row) }));
+  }
+
+  /** @type {{ timestamp: number, terms: string[] }[]} */
+  const result = [];
+  let fetched = 0;
+  /** @type {string | undefined} */
+  let cursor;
+  do {
+    const list = await env.IMAGE_STORE.list({ prefix: `${HISTORY_PREFIX}${userId}:`, cursor });
+    /** @type {{ name: string, metadata?: any }[]} */
+    const keys = list.keys;
+    for (const key of keys) {
+      if (result.length >= MAX_SEARCHED_RECORDS) {
+        return result;
+      }
+      const timestamp = timestampFromKey(key.name);
+      if (key.metadata && typeof key.metadata.terms === 'string') {
+        result.push({ timestamp, terms: key.metadata.terms.split(' ').filter(Boolean) });
+      } else if (fetched < MAX_FETCHED_RECORDS) {
+        fetched++;
+        const data = await env.IMAGE_STORE.get(key.name);
+        if (data) {
+          result.push({ timestamp, terms: recordTerms(JSON.parse(data)) });
+        }
+      }
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  return result;
+}
+
+/**
+ * R2 keys referenced by every history record of every user, for
+ * reconciliation with the bucket. KV keys carry them in their metadata;
+ * keys written before they did are read (and, without D1, rewritten with
+ * it) a batch per call. With D1, KV history is read as well: records stay in
+ * KV until they expire, and until `npm run d1:import-history` has run they
+ * are the only record of their images.
+ *
+ * `complete` is false while unread records remain or the history has more
+ * keys than one call lists.
+ *
+ * @param {any} env
+ * @returns {Promise<{ generations: HistoryImages[], complete: boolean }>}
+ */
+export async function listAllHistoryImages(env) {
+  const database = hasDatabase(env);
+  /** @type {HistoryImages[]} */
+  const generations = database ? await listGenerationImages(env) : [];
+  let complete = true;
+  let backfilled = 0;
+  let pages = 0;
+  /** @type {string | undefined} */
+  let cursor;
+  do {
+    if (pages >= MAX_LISTED_PAGES) {
+      return { generations, complete: false };
+    }
+    pages++;
+    const list = await env.IMAGE_STORE.list({ prefix: HISTORY_PREFIX, cursor });
+    /** @type {{ name: string, metadata?: any }[]} */
+    const keys = list.keys;
+    for (const key of keys) {
+      const legacy = LEGACY_KEY.test(key.name);
+      const userId = legacy ? ADMIN_USER_ID : key.name.slice(HISTORY_PREFIX.length, key.name.lastIndexOf(':'));
+      const metadata = key.metadata;
+      if (!legacy && metadata && Array.isArray(metadata.images)) {
+        generations.push({
+          userId,
+          timestamp: timestampFromKey(key.name),
+          r2Keys: metadata.images.map((/** @type {string} */ name) => imageKey(userId, name)),
+          parentKey: metadata.parentKey || null
+        });
+        continue;
+      }
+
+      if (backfilled >= MAX_BACKFILLED_RECORDS) {
+        complete = false;
+        continue;
+      }
+      backfilled++;
+      const data = await env.IMAGE_STORE.get(key.name);
+      if (!data) {
+        continue;
+      }
+      const record = JSON.parse(data);
+      // Legacy keys are moved by migrateLegacyHistory, and with D1 the
+      // record in KV is only a copy
+      if (!legacy && !database) {
+        await putHistory(env, userId, record);
+      }
+      generations.push({
+        userId,
+        timestamp: legacy ? Number(key.name.slice(HISTORY_PREFIX.length)) : timestampFromKey(key.name),
+        r2Keys: record.r2Keys || [],
+        parentKey: record.parentKey || null
+      });
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  return { generations, complete };
+}
+
+/**
+ * Move records written before user accounts from `history:<timestamp>` to
+ * the admin's `history:admin:<inverted timestamp>` keys, a batch per call,
+ * until none are left. Runs from the Cron Trigger and the admin's history
+ * listing; with D1, scripts/migrate-kv-to-d1.js imports them instead.
+ *
+ * @param {any} env
+ * @returns {Promise<number>} Records migrated by this call
+ */
+export async function migrateLegacyHistory(env) {
+  if (hasDatabase(env) || await env.IMAGE_STORE.get(LEGACY_MIGRATED_KEY)) {
+    return 0;
+  }
+
+  let migrated = 0;
+  /** @type {string | undefined} */
+  let cursor;
+  do {
+    const list = await env.IMAGE_STORE.list({ prefix: LEGACY_PREFIX, cursor });
+    /** @type {{ name: string }[]} */
+    const keys = list.keys;
+    for (const key of keys.filter(key => LEGACY_KEY.test(key.name))) {
+      if (migrated >= LEGACY_MIGRATION_BATCH) {
+        return migrated;
+      }
+      const data = await env.IMAGE_STORE.get(key.name);
+      if (data) {
+        const record = JSON.parse(data);
+        // putHistory keeps the 30 days the record had from its timestamp
+        await putHistory(env, ADMIN_USER_ID, {
+          ...record,
+          timestamp: Number(key.name.slice(HISTORY_PREFIX.length))
+        });
+        migrated++;
+      }
+      await env.IMAGE_STORE.delete(key.name);
+    }
+    cursor = list.list_complete ? undefined : list.cursor;
+  } while (cursor);
+
+  await env.IMAGE_STORE.put(LEGACY_MIGRATED_KEY, String(Date.now()));
+  return migrated;
+}
+
+/**
+ * Metadata of a KV history key. Image keys under the owner's `images/`
+ * prefix are shortened to their file name.
+ *
+ * @param {string} userId
+ * @param {HistoryRecord} record
+ * @returns {Object}
+ */
+function historyMetadata(userId, record) {
+  const prefix = `images/${userId}/`;
+  const metadata = {
+    model: record.model,
+    steps: record.steps,
+    favorite: Boolean(record.favorite),
+    images: (record.r2Keys || []).map(key => key.startsWith(prefix) ? key.slice(prefix.length) : key),
+    ...(record.parentKey ? { parentKey: record.parentKey } : {})
+  };
+  const used = new TextEncoder().encode(JSON.stringify({ ...metadata, terms: '' })).length;
+  return { ...metadata, terms: recordTerms(record, MAX_METADATA_BYTES - used).join(' ') };
+}
+
+/**
+ * @param {string} userId
+ * @param {string} name - Image key as stored in history key metadata
+ * @returns {string}
+ */
+function imageKey(userId, name) {
+  return name.includes('/') ? name : `images/${userId}/${name}`;
+}
+
+/**
+ * Tags are matched case-insensitively, so they are stored lowercased.
+ *
+ * @param {string} tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return tag.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * @param {string | number} value - Milliseconds since the epoch or an ISO 8601 date
+ * @returns {number | null}
+ */
+function parseTime(value) {
+  const text = String(value);
+  const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Filters that can be checked without fetching the record.
+ *
+ * @param {{ metadata?: any }} key
+ * @param {number} timestamp
+ * @param {HistoryFilters} filters
+ * @returns {boolean}
+ */
+function matchesKey(key, timestamp, filters) {
+  if (filters.to !== undefined && timestamp > filters.to) {
+    return false;
+  }
+  const metadata = key.metadata || {};
+  if (filters.steps !== undefined && metadata.steps !== undefined && metadata.steps !== filters.steps) {
+    return false;
+  }
+  if (filters.model && metadata.model !== undefined && metadata.model !== filters.model) {
+    return false;
+  }
+  if (filters.favorite && metadata.favorite === false) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @param {any} record
+ * @param {HistoryFilters} filters
+ * @returns {boolean}
+ */
+function matchesRecord(record, filters) {
+  if (filters.steps !== undefined && record.steps !== filters.steps) {
+    return false;
+  }
+  if (filters.model && record.model !== filters.model) {
+    return false;
+  }
+  if (filters.favorite && !record.favorite) {
+    return false;
+  }
+  if (filters.tag && !(record.tags || []).includes(filters.tag)) {
+    return false;
+  }
+  if (filters.q) {
+    const text = [record.prompt, record.originalPrompt, record.translatedPrompt]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    return text.includes(filters.q);
+  }
+  return true;
+}
+
+/**
+ * Cursors are base64url JSON: `{ c, o }` for KV, the KV cursor of the current
+ * page and the number of its keys consumed, and `{ t }` for D1, the timestamp
+ * of the last record returned.
+ *
+ * @param {{ c: string | null, o: number } | { t: number }} position
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return btoa(JSON.stringify(position))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} cursor
+ * @returns {{ c?: string, o: number, t?: number } | null}
+ */
+function decodeCursor(cursor) {
+  try {
+    const { c, o, t } = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    if (t !== undefined) {
+      return Number.isInteger(t) ? { o: 0, t } : null;
+    }
+    if ((c !== null && typeof c !== 'string') || !Number.isInteger(o) || o < 0 || o >= LIST_PAGE_SIZE) {
+      return null;
+    }
+    return { c: c || undefined, o };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,549 @@
+// Resized and converted variants of stored images, for /api/image/*.
+// `?w=`, `?h=`, `?format=` and `?q=` describe a variant; it is produced with
+// the Cloudflare Images binding (IMAGES) and cached in IMAGES_BUCKET as
+// `variants/<source key>/<w>x<h>-q<quality>.<format>`, so each variant is
+// only transformed once. Without `format`, the best format the client
+// accepts is picked from its Accept header. Without the binding, the
+// parameters are ignored and the original is served.
+//
+// Generated images also get a WebP thumbnail when they are written,
+// `thumbs/<userId>/<random>-<i>.webp` (named after the original), so the
+// history grid does not have to produce variants on first view.
+//
+// Originals, thumbnails and variants are all served by serveImage, which
+// answers conditional, HEAD and single byte range requests from the R2
+// object's metadata.
+//
+// Images of private generations (`private` in their R2 metadata) are only
+// served through signed URLs: `?exp=<unix seconds>&sig=<HMAC-SHA256 of
+// "<key>:<exp>">`, keyed with the IMAGE_URL_SECRET secret. The signature
+// covers the key only, so variant parameters can be added to a signed URL.
+//
+// Requested keys are validated by parseImageKey: only the namespaces the
+// app writes to (images/, uploads/, thumbs/) can be read, and traversal or
+// other prefixes are rejected before IMAGES_BUCKET is touched.
+
+const VARIANT_PREFIX = 'variants/';
+const THUMBNAIL_PREFIX = 'thumbs/';
+
+// R2 namespaces /api/image/ serves. Variants are not requested by key but
+// through the key of their source image
+const IMAGE_NAMESPACES = ['images', 'uploads', 'thumbs'];
+
+// One key segment. Segments cannot start with a dot, so `.` and `..` are
+// rejected, and separators, `%` and other characters the app never writes
+// are not allowed anywhere
+const KEY_SEGMENT = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,127}$/;
+
+const MAX_DIMENSION = 2048;
+const DEFAULT_QUALITY = 80;
+
+// Requested sizes are rounded up, and qualities to the nearest, of these
+// steps, so that each image has a bounded number of variants to transform
+// and cache
+const VARIANT_SIZES = [150, 300, 600, 1024, MAX_DIMENSION];
+const VARIANT_QUALITIES = [60, DEFAULT_QUALITY, 95];
+
+// Bounding box of thumbnails: twice the 150px history grid cells
+export const THUMBNAIL_SIZE = 300;
+
+// Lifetime of signed URLs in seconds when SIGNED_URL_TTL is unset
+const DEFAULT_SIGNED_URL_TTL = 3600;
+
+/** @type {Record<string, string>} */
+const FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * @typedef {'avif' | 'webp' | 'jpeg' | 'png'} ImageFormat
+ */
+
+/**
+ * @typedef {Object} ImageVariant
+ * @property {number | null} width - Maximum width; null to follow the height
+ * @property {number | null} height - Maximum height; null to follow the width
+ * @property {ImageFormat} format
+ * @property {number} quality - 1-100, for the lossy formats
+ * @property {boolean} negotiated - Whether the format was picked from the Accept header
+ */
+
+/**
+ * Validate the R2 key of an image request. The key is URL-decoded once,
+ * then must be `<namespace>/<owner>/<name>`, or `images/<name>` for images
+ * stored before per-user keys.
+ *
+ * @param {string} path - Path after /api/image/, as it appears in the URL
+ * @returns {{ error: string } | { key: string }}
+ */
+export function parseImageKey(path) {
+  let key;
+  try {
+    key = decodeURIComponent(path);
+  } catch (error) {
+    return { error: 'Image key is not valid URL encoding' };
+  }
+
+  const [namespace, ...rest] = key.split('/');
+  if (!IMAGE_NAMESPACES.includes(namespace)) {
+    return { error: `Image key must start with one of: ${IMAGE_NAMESPACES.map(name => `${name}/`).join(', ')}` };
+  }
+
+  const legacy = namespace === 'images' && rest.length === 1;
+  if ((rest.length !== 2 && !legacy) || !rest.every(segment => KEY_SEGMENT.test(segment))) {
+    return { error: 'Invalid image key' };
+  }
+
+  return { key };
+}
+
+/**
+ * Validate the variant parameters of an image request.
+ *
+ * @param {URLSearchParams} params
+ * @param {string} accept - Accept header of the request
+ * @returns {{ error: string } | { variant: ImageVariant | null }} null for the original image
+ */
+export function parseImageVariant(params, accept) {
+  const format = params.get('format');
+  if (!['w', 'h', 'format', 'q'].some(name => params.has(name))) {
+    return { variant: null };
+  }
+
+  /** @type {(number | null)[]} */
+  const dimensions = [];
+  for (const name of ['w', 'h']) {
+    const value = params.get(name);
+    if (value && (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > MAX_DIMENSION)) {
+      return { error: `${name} must be an integer between 1 and ${MAX_DIMENSION}` };
+    }
+    dimensions.push(value ? snapSize(Number(value)) : null);
+  }
+
+  if (format && format !== 'auto' && !(format in FORMAT_TYPES)) {
+    return { error: `format must be one of: auto, ${Object.keys(FORMAT_TYPES).join(', ')}` };
+  }
+
+  const q = params.get('q');
+  if (q && (!/^\d+$/.test(q) || Number(q) < 1 || Number(q) > 100)) {
+    return { error: 'q must be an integer between 1 and 100' };
+  }
+
+  const negotiated = !format || format === 'auto';
+  return {
+    variant: {
+      width: dimensions[0],
+      height: dimensions[1],
+      format: negotiated ? negotiateFormat(accept) : /** @type {ImageFormat} */ (format),
+      quality: q ? snapQuality(Number(q)) : DEFAULT_QUALITY,
+      negotiated
+    }
+  };
+}
+
+/**
+ * @param {number} size - 1 to MAX_DIMENSION
+ * @returns {number} Smallest step of VARIANT_SIZES that is at least `size`
+ */
+function snapSize(size) {
+  return VARIANT_SIZES.find(step => step >= size) || MAX_DIMENSION;
+}
+
+/**
+ * @param {number} quality - 1 to 100
+ * @returns {number} Step of VARIANT_QUALITIES nearest to `quality`
+ */
+function snapQuality(quality) {
+  return VARIANT_QUALITIES.reduce((nearest, step) => Math.abs(step - quality) < Math.abs(nearest - quality) ? step : nearest);
+}
+
+/**
+ * Whether variants can be produced, i.e. the Images binding is configured.
+ *
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function canTransformImages(env) {
+  return Boolean(env.IMAGES);
+}
+
+/**
+ * Make sure a variant of an image is cached in R2, producing it on first
+ * use.
+ *
+ * @param {any} env
+ * @param {string} r2Key - Key of the source image
+ * @param {ImageVariant} variant
+ * @returns {Promise<string | null>} Key of the cached variant; null if the source does not exist
+ */
+export async function getImageVariant(env, r2Key, variant) {
+  const key = variantKey(r2Key, variant);
+  if (await env.IMAGES_BUCKET.head(key)) {
+    return key;
+  }
+
+  const source = await env.IMAGES_BUCKET.get(r2Key);
+  if (!source) {
+    return null;
+  }
+
+  const bytes = await transformImage(env, source.body, variant);
+  await env.IMAGES_BUCKET.put(key, bytes, {
+    httpMetadata: {
+      contentType: FORMAT_TYPES[variant.format],
+      cacheControl: 'public, max-age=31536000'
+    },
+    customMetadata: { sourceKey: r2Key }
+  });
+
+  return key;
+}
+
+/**
+ * Serve a stored image to a GET or HEAD request. The response carries the
+ * object's Content-Type, ETag and Last-Modified; it is a 304 when
+ * If-None-Match or If-Modified-Since match, and a 206 for a satisfiable
+ * single byte range (multiple ranges are answered with the whole image).
+ *
+ * @param {Request} request
+ * @param {any} env
+ * @param {string} key
+ * @param {Record<string, string>} headers - Cache-Control, CORS and other headers to add
+ * @returns {Promise<Response | null>} null if the object does not exist
+ */
+export async function serveImage(request, env, key, headers) {
+  const object = await env.IMAGES_BUCKET.head(key);
+  if (!object) {
+    return null;
+  }
+
+  /** @type {Date} */
+  const uploaded = object.uploaded;
+  const validators = {
+    'ETag': object.httpEtag,
+    'Last-Modified': uploaded.toUTCString(),
+    ...headers
+  };
+
+  if (isNotModified(request.headers, object.httpEtag, uploaded)) {
+    return new Response(null, { status: 304, headers: validators });
+  }
+
+  /** @type {number} */
+  const size = object.size;
+  const range = parseRange(request.headers, object.httpEtag, uploaded, size);
+  /** @type {Record<string, string>} */
+  const responseHeaders = {
+    // The Worker always stores a type; objects put into the bucket by
+    // other means may not have one
+    'Content-Type': object.httpMetadata.contentType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    ...validators
+  };
+
+  if (range === 'unsatisfiable') {
+    responseHeaders['Content-Range'] = `bytes */${size}`;
+    return new Response(null, { status: 416, headers: responseHeaders });
+  }
+
+  if (range) {
+    responseHeaders['Content-Range'] = `bytes ${range.offset}-${range.offset + range.length - 1}/${size}`;
+  }
+  responseHeaders['Content-Length'] = String(range ? range.length : size);
+  const status = range ? 206 : 200;
+
+  if (request.method === 'HEAD') {
+    return new Response(null, { status, headers: responseHeaders });
+  }
+
+  const stored = await env.IMAGES_BUCKET.get(key, range ? { range } : {});
+  if (!stored) {
+    return null;
+  }
+  return new Response(stored.body, { status, headers: responseHeaders });
+}
+
+/**
+ * Write the thumbnail of a newly generated image. Best effort: without the
+ * Images binding, or if the transformation fails, the image has no
+ * thumbnail and clients fall back to a variant.
+ *
+ * @param {any} env
+ * @param {string} r2Key - Key of the image, under images/
+ * @param {Uint8Array} bytes - The image
+ * @param {boolean} isPrivate - Whether the image is only served through signed URLs
+ * @returns {Promise<string | null>} Key of the thumbnail
+ */
+export async function storeThumbnail(env, r2Key, bytes, isPrivate) {
+  if (!canTransformImages(env)) {
+    return null;
+  }
+
+  const thumbKey = r2Key.replace(/^images\//, THUMBNAIL_PREFIX).replace(/\.[^./]+$/, '.webp');
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  });
+  try {
+    const thumbnail = await transformImage(env, stream, {
+      width: THUMBNAIL_SIZE,
+      height: THUMBNAIL_SIZE,
+      format: 'webp',
+      quality: DEFAULT_QUALITY,
+      negotiated: false
+    });
+    await env.IMAGES_BUCKET.put(thumbKey, thumbnail, {
+      httpMetadata: {
+        contentType: FORMAT_TYPES.webp,
+        cacheControl: 'public, max-age=31536000'
+      },
+      customMetadata: { sourceKey: r2Key, ...(isPrivate ? { private: 'true' } : {}) }
+    });
+    return thumbKey;
+  } catch (error) {
+    console.error(`Failed to create thumbnail of ${r2Key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether private generations are possible, i.e. IMAGE_URL_SECRET is set.
+ *
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function canSignImageUrls(env) {
+  return Boolean(env.IMAGE_URL_SECRET);
+}
+
+/**
+ * Query parameters signing a URL of an image. The expiry is rounded up to a
+ * multiple of SIGNED_URL_TTL so that URLs signed in the same period are
+ * identical and stay cacheable; each is valid for one to two periods.
+ *
+ * @param {any} env
+ * @param {string} r2Key
+ * @param {number} [now]
+ * @returns {Promise<string>} `exp=<unix seconds>&sig=<hex>`
+ */
+export async function signImageKey(env, r2Key, now = Date.now()) {
+  const ttl = parseInt(env.SIGNED_URL_TTL) || DEFAULT_SIGNED_URL_TTL;
+  const expires = (Math.floor(now / 1000 / ttl) + 2) * ttl;
+  const signature = await crypto.subtle.sign('HMAC', await signingKey(env), signedData(r2Key, expires));
+  return `exp=${expires}&sig=${toHex(new Uint8Array(signature))}`;
+}
+
+/**
+ * Check the `exp` and `sig` parameters of a signed image URL.
+ *
+ * @param {any} env
+ * @param {string} r2Key - Key in the URL path
+ * @param {URLSearchParams} params
+ * @param {number} [now]
+ * @returns {Promise<number | null>} Seconds until the URL expires; null if it is invalid or expired
+ */
+export async function verifyImageSignature(env, r2Key, params, now = Date.now()) {
+  const expires = params.get('exp') || '';
+  const signature = params.get('sig') || '';
+  if (!canSignImageUrls(env) || !/^\d{1,12}$/.test(expires) || !/^[0-9a-f]{64}$/.test(signature)) {
+    return null;
+  }
+
+  const remaining = Number(expires) - Math.floor(now / 1000);
+  if (remaining <= 0) {
+    return null;
+  }
+
+  const bytes = new Uint8Array(signature.match(/../g)?.map(byte => parseInt(byte, 16)) || []);
+  const valid = await crypto.subtle.verify('HMAC', await signingKey(env), bytes, signedData(r2Key, Number(expires)));
+  return valid ? remaining : null;
+}
+
+/**
+ * Whether an object belongs to a private generation.
+ *
+ * @param {any} env
+ * @param {string} key
+ * @returns {Promise<boolean>}
+ */
+export async function isPrivateImage(env, key) {
+  const object = await env.IMAGES_BUCKET.head(key);
+  return Boolean(object && object.customMetadata && object.customMetadata.private === 'true');
+}
+
+/**
+ * Delete the cached variants of images that are being deleted.
+ *
+ * @param {any} env
+ * @param {string[]} r2Keys - Keys of the source images
+ * @returns {Promise<void>}
+ */
+export async function deleteImageVariants(env, r2Keys) {
+  for (const r2Key of r2Keys) {
+    const list = await env.IMAGES_BUCKET.list({ prefix: `${VARIANT_PREFIX}${r2Key}/` });
+    /** @type {{ key: string }[]} */
+    const objects = list.objects;
+    if (objects.length > 0) {
+      await env.IMAGES_BUCKET.delete(objects.map(object => object.key));
+    }
+  }
+}
+
+/**
+ * Key of the source image of a cached variant or a thumbnail.
+ *
+ * @param {string} key
+ * @param {Record<string, string>} customMetadata - R2 metadata of the object
+ * @returns {string | null} null if `key` is neither
+ */
+export function derivedSourceKey(key, customMetadata) {
+  if (key.startsWith(VARIANT_PREFIX)) {
+    return key.slice(VARIANT_PREFIX.length, key.lastIndexOf('/'));
+  }
+  if (key.startsWith(THUMBNAIL_PREFIX)) {
+    return customMetadata.sourceKey || null;
+  }
+  return null;
+}
+
+/**
+ * Whether a conditional request can be answered with 304. If-None-Match
+ * takes precedence over If-Modified-Since (RFC 9110, section 13.2.2).
+ *
+ * @param {Headers} headers - Request headers
+ * @param {string} etag - Quoted ETag of the object
+ * @param {Date} uploaded
+ * @returns {boolean}
+ */
+function isNotModified(headers, etag, uploaded) {
+  const ifNoneMatch = headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    return ifNoneMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers.get('If-Modified-Since') || '');
+  // HTTP dates have a resolution of one second
+  return !Number.isNaN(ifModifiedSince) && Math.floor(uploaded.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Byte range requested by a Range header. Ranges that cannot be served as
+ * one part, or whose If-Range no longer matches, are ignored so the whole
+ * image is sent.
+ *
+ * @param {Headers} headers - Request headers
+ * @param {string} etag - Quoted ETag of the object
+ * @param {Date} uploaded
+ * @param {number} size - Size of the object in bytes
+ * @returns {{ offset: number, length: number } | 'unsatisfiable' | null}
+ */
+function parseRange(headers, etag, uploaded, size) {
+  const match = (headers.get('Range') || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  const ifRange = headers.get('If-Range');
+  if (ifRange && ifRange !== etag && ifRange !== uploaded.toUTCString()) {
+    return null;
+  }
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const length = Math.min(Number(match[2]), size);
+    return length > 0 ? { offset: size - length, length } : 'unsatisfiable';
+  }
+
+  const offset = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (offset >= size) {
+    return 'unsatisfiable';
+  }
+  if (end < offset) {
+    return null;
+  }
+  return { offset, length: end - offset + 1 };
+}
+
+/**
+ * @param {any} env
+ * @returns {Promise<CryptoKey>}
+ */
+function signingKey(env) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.IMAGE_URL_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * @param {string} r2Key
+ * @param {number} expires
+ * @returns {BufferSource}
+ */
+function signedData(r2Key, expires) {
+  return new TextEncoder().encode(`${r2Key}:${expires}`);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {any} env
+ * @param {ReadableStream} stream - The source image
+ * @param {ImageVariant} variant
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function transformImage(env, stream, variant) {
+  const result = await env.IMAGES.input(stream)
+    .transform({
+      ...(variant.width ? { width: variant.width } : {}),
+      ...(variant.height ? { height: variant.height } : {}),
+      // Fit within the box without enlarging or cropping
+      fit: 'scale-down'
+    })
+    .output({ format: FORMAT_TYPES[variant.format], quality: variant.quality });
+  return result.response().arrayBuffer();
+}
+
+/**
+ * @param {string} r2Key
+ * @param {ImageVariant} variant
+ * @returns {string}
+ */
+function variantKey(r2Key, variant) {
+  return `${VARIANT_PREFIX}${r2Key}/${variant.width || ''}x${variant.height || ''}-q${variant.quality}.${variant.format}`;
+}
+
+/**
+ * Smallest format the client accepts. Browsers that accept neither AVIF nor
+ * WebP get JPEG, which suits generated images better than PNG.
+ *
+ * @param {string} accept
+ * @returns {ImageFormat}
+ */
+function negotiateFormat(accept) {
+  if (accept.includes('image/avif')) {
+    return 'avif';
+  }
+  if (accept.includes('image/webp')) {
+    return 'webp';
+  }
+  return 'jpeg';
+}
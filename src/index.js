@@ -1,16 +1,95 @@
 // Cloudflare Workers AI Image Generator
-// Using FLUX.1 [schnell] model for text-to-image generation
+// Text-to-image generation with FLUX.1 [schnell] and the other models in ./models.js
+
+import { DEFAULT_MODEL_ID, ASPECT_RATIOS, listModels } from './models.js';
+import {
+  parseGenerateOptions,
+  preparePrompt,
+  generateBatch,
+  batchResults,
+  saveHistory,
+  formatImage,
+  historyImages,
+  withHistoryImages,
+  signPrivateImages
+} from './generation.js';
+import { createJob, getJob, toJobStatus, consumeJobQueue } from './jobs.js';
+import { wantsEventStream, streamGeneration } from './stream.js';
+import { parseEditRequest } from './edit.js';
+import { enhancePrompt } from './prompt.js';
+import {
+  requiredScope,
+  runsModel,
+  isAuthDisabled,
+  authenticate,
+  canUseRoute,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  createSession,
+  createUserSession,
+  createOAuthState,
+  checkOAuthState,
+  destroySession
+} from './auth.js';
+import { ownerId, ownerFromKey, canAccess, findOrCreateUser, ADMIN_USER_ID } from './users.js';
+import { getProvider, listProviders } from './providers.js';
+import {
+  parseHistoryQuery,
+  listHistory,
+  getHistory,
+  parseHistoryUpdate,
+  applyHistoryUpdate,
+  putHistory,
+  deleteHistory,
+  parseBulkDelete,
+  findHistoryInRange,
+  migrateLegacyHistory,
+  MAX_BULK_DELETE
+} from './history.js';
+import {
+  parseCollectionInput,
+  parseCollectionItems,
+  listCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItems,
+  removeCollectionItems,
+  removeFromCollections,
+  resolveCollectionItems
+} from './collections.js';
+import { shareHistoryItem, unshareHistoryItem, deleteShareLink, getSharedItem, shareUrl, renderSharePage } from './share.js';
+import { checkRequestRate, consumeImageQuota, tooManyRequests } from './ratelimit.js';
+import { parseSearchQuery, searchHistory, unindexHistory, refreshHistoryIndex } from './search.js';
+import { parseReconcileRequest, reconcileStorage, runScheduledReconcile } from './reconcile.js';
+import {
+  parseImageVariant,
+  canTransformImages,
+  getImageVariant,
+  serveImage,
+  verifyImageSignature,
+  isPrivateImage,
+  parseImageKey
+} from './images.js';
 
 export default {
-  async fetch(request, env) {
+  /**
+   * @param {Request} request
+   * @param {any} env
+   * @param {ExecutionContext} ctx
+   */
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // CORS headers
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, HEAD, POST, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Range, If-None-Match, If-Modified-Since, If-Range',
       'Access-Control-Max-Age': '86400',
+      'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, ETag, Last-Modified, Content-Range, Accept-Ranges',
     };
 
     // Handle CORS preflight requests
@@ -28,12 +107,428 @@ export default {
       });
     }
 
+    // API endpoint for logging the HTML page in with an API key
+    if (request.method === 'POST' && url.pathname === '/api/auth/login') {
+      try {
+        const { apiKey } = await request.json();
+        const session = await createSession(env, apiKey);
+
+        if (!session) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid API key' }),
+            {
+              status: 401,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(JSON.stringify({
+          success: true,
+          name: session.auth.name,
+          scopes: session.auth.scopes
+        }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Set-Cookie': session.cookie,
+            ...corsHeaders
+          }
+        });
+      } catch (error) {
+        return new Response(
+          JSON.stringify({ error: 'Failed to log in' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for ending the session
+    if (request.method === 'POST' && url.pathname === '/api/auth/logout') {
+      const cookie = await destroySession(request, env);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Set-Cookie': cookie,
+          ...corsHeaders
+        }
+      });
+    }
+
+    // API endpoint reporting who the caller is
+    if (request.method === 'GET' && url.pathname === '/api/auth/session') {
+      const auth = isAuthDisabled(env) ? null : await authenticate(request, env);
+      return new Response(JSON.stringify({
+        authRequired: !isAuthDisabled(env),
+        authenticated: !!auth,
+        name: auth ? auth.name : null,
+        scopes: auth ? auth.scopes : []
+      }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store',
+          ...corsHeaders
+        }
+      });
+    }
+
+    // API endpoint listing the identity providers users can sign in with
+    if (request.method === 'GET' && url.pathname === '/api/auth/providers') {
+      return new Response(JSON.stringify({ providers: listProviders(env) }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // Identity provider sign-in: /login redirects to the provider, which
+    // redirects back to /callback
+    const providerRoute = url.pathname.match(/^\/api\/auth\/([\w-]+)\/(login|callback)$/);
+    if (request.method === 'GET' && providerRoute) {
+      const provider = getProvider(env, providerRoute[1]);
+      if (!provider) {
+        return new Response(
+          JSON.stringify({ error: 'Unknown identity provider' }),
+          {
+            status: 404,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+
+      const redirectUri = `${url.origin}/api/auth/${provider.name}/callback`;
+
+      if (providerRoute[2] === 'login') {
+        const { state, cookie } = createOAuthState();
+        const target = provider.authorizeUrl(env, request, redirectUri, state);
+        if ('error' in target) {
+          return new Response(
+            JSON.stringify({ error: target.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(null, {
+          status: 302,
+          headers: { 'Location': target.url, 'Set-Cookie': cookie }
+        });
+      }
+
+      try {
+        const stateCheck = checkOAuthState(request, url.searchParams.get('state'));
+        const profile = stateCheck.valid ? await provider.exchange(env, request, redirectUri) : null;
+        if (!profile) {
+          return new Response('Sign-in failed', {
+            status: 401,
+            headers: { 'Set-Cookie': stateCheck.cookie }
+          });
+        }
+
+        const user = await findOrCreateUser(env, provider.name, profile);
+        const headers = new Headers({ 'Location': '/' });
+        headers.append('Set-Cookie', stateCheck.cookie);
+        headers.append('Set-Cookie', await createUserSession(env, user));
+        return new Response(null, { status: 302, headers });
+      } catch (error) {
+        console.error('Sign-in error:', error);
+        return new Response('Sign-in failed', { status: 500 });
+      }
+    }
+
+    // Require an API key or session with the right scope for protected routes.
+    // Signed image URLs are checked by the image route instead
+    const scope = requiredScope(request.method, url.pathname);
+    const signedImage = url.pathname.startsWith('/api/image/') && url.searchParams.has('sig');
+    /** @type {import('./auth.js').AuthContext | null} */
+    let auth = null;
+    if (scope && !signedImage && !isAuthDisabled(env)) {
+      auth = await authenticate(request, env);
+
+      if (!auth) {
+        return new Response(
+          JSON.stringify({ error: 'Authentication required' }),
+          {
+            status: 401,
+            headers: {
+              'Content-Type': 'application/json',
+              'WWW-Authenticate': 'Bearer',
+              ...corsHeaders
+            }
+          }
+        );
+      }
+
+      if (!canUseRoute(auth, scope, url.pathname)) {
+        return new Response(
+          JSON.stringify({ error: `API key lacks the ${scope} scope` }),
+          {
+            status: 403,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // Rate limit requests that run models, per client IP and per API key
+    if (runsModel(request.method, url.pathname)) {
+      const rate = await checkRequestRate(env, request, auth);
+      if (!rate.allowed) {
+        return tooManyRequests(rate, corsHeaders);
+      }
+      // corsHeaders is spread into every response below
+      Object.assign(corsHeaders, rate.headers);
+    }
+
+    // API endpoint listing API keys
+    if (request.method === 'GET' && url.pathname === '/api/admin/keys') {
+      try {
+        return new Response(JSON.stringify({ keys: await listApiKeys(env) }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(
+          JSON.stringify({ error: 'Failed to list API keys' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for creating an API key
+    if (request.method === 'POST' && url.pathname === '/api/admin/keys') {
+      try {
+        const result = await createApiKey(env, await request.json());
+
+        if ('error' in result) {
+          return new Response(
+            JSON.stringify({ error: result.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        // The plaintext key is only ever returned here
+        return new Response(JSON.stringify({
+          success: true,
+          key: result.key,
+          ...result.record
+        }), {
+          status: 201,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        console.error('API key creation error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to create API key' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for revoking an API key
+    if (request.method === 'DELETE' && url.pathname.startsWith('/api/admin/keys/')) {
+      try {
+        const record = await revokeApiKey(env, url.pathname.replace('/api/admin/keys/', ''));
+
+        if (!record) {
+          return new Response(
+            JSON.stringify({ error: 'API key not found' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(JSON.stringify({ success: true, ...record }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        return new Response(
+          JSON.stringify({ error: 'Failed to revoke API key' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint reconciling R2 images with history
+    if (request.method === 'POST' && url.pathname === '/api/admin/reconcile') {
+      try {
+        const text = await request.text();
+        const parsed = parseReconcileRequest(text ? JSON.parse(text) : {});
+
+        if ('error' in parsed) {
+          return new Response(
+            JSON.stringify({ error: parsed.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(JSON.stringify(await reconcileStorage(env, parsed.action)), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        console.error('Reconciliation error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to reconcile storage' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
     // API endpoint for image generation
     if (request.method === 'POST' && url.pathname === '/api/generate') {
       try {
-        const { prompt, steps = 4, numImages = 1 } = await request.json();
+        const parsed = parseGenerateOptions(await request.json(), 'text-to-image', ownerId(auth), env);
 
         // Validate input
+        if ('error' in parsed) {
+          return new Response(
+            JSON.stringify({ error: parsed.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        const quota = await consumeImageQuota(env, request, auth, parsed.options.numImages);
+        if (!quota.allowed) {
+          return tooManyRequests(quota, corsHeaders);
+        }
+
+        // Stream each image as it is stored when the client asks for SSE
+        if (wantsEventStream(request)) {
+          return streamGeneration(env, ctx, parsed.options, corsHeaders);
+        }
+
+        const options = await preparePrompt(env, parsed.options);
+
+        // Generate multiple images
+        const timestamp = Date.now();
+        const { images, failures } = await generateBatch(env, options, timestamp);
+        const results = batchResults(images, failures);
+
+        if (images.length === 0) {
+          return new Response(
+            JSON.stringify({ error: 'Failed to generate any images', results }),
+            {
+              status: 500,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        // Store metadata in KV for history
+        const record = await saveHistory(env, options, timestamp, images, failures);
+
+        return new Response(JSON.stringify({
+          success: true,
+          images: await signPrivateImages(env, options, images.map(image => formatImage(image, options.responseFormat))),
+          ...record,
+          results
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+
+      } catch (error) {
+        console.error('Generation error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to generate image', details: error.message }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoints for editing an existing image (img2img and inpainting)
+    if (request.method === 'POST' && (url.pathname === '/api/img2img' || url.pathname === '/api/inpaint')) {
+      try {
+        const task = url.pathname === '/api/inpaint' ? 'inpainting' : 'img2img';
+        const parsed = await parseEditRequest(request, env, task, auth);
+
+        if ('error' in parsed) {
+          return new Response(
+            JSON.stringify({ error: parsed.error }),
+            {
+              status: parsed.status,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        const quota = await consumeImageQuota(env, request, auth, parsed.options.numImages);
+        if (!quota.allowed) {
+          return tooManyRequests(quota, corsHeaders);
+        }
+
+        if (wantsEventStream(request)) {
+          return streamGeneration(env, ctx, parsed.options, corsHeaders);
+        }
+
+        const options = await preparePrompt(env, parsed.options);
+        const timestamp = Date.now();
+        const { images, failures } = await generateBatch(env, options, timestamp);
+        const results = batchResults(images, failures);
+
+        if (images.length === 0) {
+          return new Response(
+            JSON.stringify({ error: 'Failed to generate any images', results }),
+            {
+              status: 500,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        const record = await saveHistory(env, options, timestamp, images, failures);
+
+        return new Response(JSON.stringify({
+          success: true,
+          images: await signPrivateImages(env, options, images.map(image => formatImage(image, options.responseFormat))),
+          ...record,
+          results
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        console.error('Edit error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to edit image', details: /** @type {Error} */ (error).message }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for previewing an enhanced prompt
+    if (request.method === 'POST' && url.pathname === '/api/prompt/enhance') {
+      try {
+        const { prompt } = await request.json();
+
         if (!prompt || prompt.length < 1 || prompt.length > 2048) {
           return new Response(
             JSON.stringify({ error: 'Prompt must be between 1 and 2048 characters' }),
@@ -44,139 +539,350 @@ export default {
           );
         }
 
-        if (steps < 1 || steps > 8) {
+        const enhanced = await enhancePrompt(env, prompt);
+
+        return new Response(JSON.stringify({
+          success: true,
+          originalPrompt: prompt,
+          enhancedPrompt: enhanced
+        }), {
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        console.error('Prompt enhancement error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to enhance prompt', details: /** @type {Error} */ (error).message }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for starting a background generation job
+    if (request.method === 'POST' && url.pathname === '/api/jobs') {
+      try {
+        const body = await request.json();
+
+        // Charge the quota up front; createJob validates the body the same way
+        const parsed = parseGenerateOptions(body, 'text-to-image', ownerId(auth), env);
+        if ('options' in parsed) {
+          const quota = await consumeImageQuota(env, request, auth, parsed.options.numImages);
+          if (!quota.allowed) {
+            return tooManyRequests(quota, corsHeaders);
+          }
+        }
+
+        const result = await createJob(env, ctx, body, ownerId(auth));
+
+        if ('error' in result) {
+          return new Response(
+            JSON.stringify({ error: result.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(JSON.stringify({
+          success: true,
+          jobId: result.job.id,
+          status: result.job.status
+        }), {
+          status: 202,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      } catch (error) {
+        console.error('Job creation error:', error);
+        return new Response(
+          JSON.stringify({ error: 'Failed to create job' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint for polling a generation job
+    if (request.method === 'GET' && url.pathname.startsWith('/api/jobs/')) {
+      try {
+        const job = await getJob(env, url.pathname.replace('/api/jobs/', ''));
+
+        if (!job || !canAccess(auth, job.userId)) {
+          return new Response(
+            JSON.stringify({ error: 'Job not found' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        return new Response(JSON.stringify({
+          ...toJobStatus(job),
+          images: await signPrivateImages(env, job, job.images)
+        }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...corsHeaders
+          }
+        });
+      } catch (error) {
+        return new Response(
+          JSON.stringify({ error: 'Failed to fetch job' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
+
+    // API endpoint listing the supported models
+    if (request.method === 'GET' && url.pathname === '/api/models') {
+      return new Response(JSON.stringify({
+        defaultModel: DEFAULT_MODEL_ID,
+        aspectRatios: Object.keys(ASPECT_RATIOS),
+        models: listModels()
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // API endpoint for individual image access
+    if ((request.method === 'GET' || request.method === 'HEAD') && url.pathname.startsWith('/api/image/')) {
+      try {
+        const parsedKey = parseImageKey(url.pathname.slice('/api/image/'.length));
+        if ('error' in parsedKey) {
+          return new Response(parsedKey.error, { status: 400, headers: corsHeaders });
+        }
+        const imageKey = parsedKey.key;
+
+        // A signed URL grants access to the image until it expires; without
+        // one, owners can read their images unless they are private
+        const validFor = signedImage ? await verifyImageSignature(env, imageKey, url.searchParams) : null;
+        if (signedImage && validFor === null) {
+          return new Response('Invalid or expired signature', { status: 403, headers: corsHeaders });
+        }
+        if (!signedImage && !canAccess(auth, ownerFromKey(imageKey))) {
+          return new Response('Forbidden', { status: 403, headers: corsHeaders });
+        }
+        if (!signedImage && await isPrivateImage(env, imageKey)) {
+          return new Response('Private images require a signed URL', { status: 403, headers: corsHeaders });
+        }
+
+        const parsed = parseImageVariant(url.searchParams, request.headers.get('Accept') || '');
+        if ('error' in parsed) {
+          return new Response(parsed.error, { status: 400, headers: corsHeaders });
+        }
+
+        // Resized or converted variant, see ./images.js
+        const variant = canTransformImages(env) ? parsed.variant : null;
+        const servedKey = variant ? await getImageVariant(env, imageKey, variant) : imageKey;
+
+        const response = servedKey && await serveImage(request, env, servedKey, {
+          // Signed responses must not outlive their URL
+          'Cache-Control': `private, max-age=${validFor === null ? 31536000 : validFor}`,
+          ...(variant && variant.negotiated ? { 'Vary': 'Accept' } : {}),
+          ...corsHeaders
+        });
+        return response || new Response('Image not found', { status: 404, headers: corsHeaders });
+      } catch (error) {
+        console.error('Error fetching image:', error);
+        return new Response('Failed to fetch image', {
+          status: 500,
+          headers: corsHeaders
+        });
+      }
+    }
+
+    // API endpoints for a single history record and its share link
+    const historyRoute = url.pathname.match(/^\/api\/history\/(\d+)(\/share)?$/);
+    const historyMethods = historyRoute && historyRoute[2] ? ['POST', 'DELETE'] : ['GET', 'PATCH', 'DELETE'];
+    if (historyRoute && historyMethods.includes(request.method)) {
+      try {
+        const userId = ownerId(auth);
+        const record = await getHistory(env, userId, Number(historyRoute[1]));
+
+        if (!record) {
           return new Response(
-            JSON.stringify({ error: 'Steps must be between 1 and 8' }),
+            JSON.stringify({ error: 'History item not found' }),
             {
-              status: 400,
+              status: 404,
               headers: { 'Content-Type': 'application/json', ...corsHeaders }
             }
           );
         }
 
-        if (numImages < 1 || numImages > 4) {
-          return new Response(
-            JSON.stringify({ error: 'Number of images must be between 1 and 4' }),
-            {
-              status: 400,
-              headers: { 'Content-Type': 'application/json', ...corsHeaders }
-            }
-          );
+        if (request.method === 'POST') {
+          if (!record.r2Keys) {
+            return new Response(
+              JSON.stringify({ error: 'Only images stored in R2 can be shared' }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+          const shareId = await shareHistoryItem(env, userId, record);
+          return new Response(JSON.stringify({
+            success: true,
+            shareId,
+            shareUrl: shareUrl(url.origin, shareId)
+          }), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
         }
 
-        // Generate multiple images
-        const images = [];
-        const r2Keys = [];
-        const timestamp = Date.now();
+        if (request.method === 'DELETE' && historyRoute[2]) {
+          await unshareHistoryItem(env, userId, record);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
-        for (let i = 0; i < numImages; i++) {
-          try {
-            // Call Cloudflare Workers AI for each image
-            const response = await env.AI.run('@cf/black-forest-labs/flux-1-schnell', {
-              prompt: prompt,
-              steps: parseInt(steps)
-            });
+        if (request.method === 'PATCH') {
+          const parsed = parseHistoryUpdate(await request.json());
+          if ('error' in parsed) {
+            return new Response(
+              JSON.stringify({ error: parsed.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+          const applied = applyHistoryUpdate(record, parsed.update, historyImages(record).map(image => image.index));
+          if ('error' in applied) {
+            return new Response(
+              JSON.stringify({ error: applied.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+          const updated = applied.record;
+          await putHistory(env, userId, updated);
+          await refreshHistoryIndex(env, userId, updated);
+          return new Response(JSON.stringify({
+            success: true,
+            favorite: Boolean(updated.favorite),
+            favoriteImages: updated.favoriteImages || [],
+            tags: updated.tags || []
+          }), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
-            // 处理图像数据格式
+        if (request.method === 'DELETE') {
+          await deleteShareLink(env, record);
+          await removeFromCollections(env, userId, record);
+          await unindexHistory(env, userId, record);
+          await deleteHistory(env, userId, record);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
 
-            if (!response || !response.image) {
-              throw new Error('No image data received from AI model');
-            }
+        return new Response(JSON.stringify({
+          id: String(record.timestamp),
+          ...record,
+          images: await signPrivateImages(env, record, historyImages(record)),
+          shareUrl: record.shareId ? shareUrl(url.origin, record.shareId) : null
+        }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...corsHeaders
+          }
+        });
+      } catch (error) {
+        return new Response(
+          JSON.stringify({ error: 'Failed to fetch history item' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
+      }
+    }
 
-            let imageBuffer;
-            let imageBase64;
+    // Public page and images of a shared generation
+    const shareRoute = url.pathname.match(/^\/g\/([0-9a-f]{32})(?:\/images\/(\d+))?$/);
+    if (shareRoute && (request.method === 'GET' || (request.method === 'HEAD' && shareRoute[2]))) {
+      try {
+        const record = await getSharedItem(env, shareRoute[1]);
+        const r2Key = record && shareRoute[2] ? record.r2Keys[Number(shareRoute[2]) - 1] : null;
 
-            // Handle different response formats - FLUX.1 typically returns base64 string
-            if (typeof response.image === 'string') {
-              // If it's already base64 encoded (most common case for FLUX.1)
-              imageBase64 = response.image;
-              // Convert base64 to buffer for R2 storage
-              const binaryString = atob(response.image);
-              imageBuffer = new Uint8Array(binaryString.length);
-              for (let j = 0; j < binaryString.length; j++) {
-                imageBuffer[j] = binaryString.charCodeAt(j);
-              }
-            } else if (response.image instanceof ArrayBuffer) {
-              imageBuffer = new Uint8Array(response.image);
-              imageBase64 = btoa(String.fromCharCode(...imageBuffer));
-            } else if (response.image && typeof response.image.arrayBuffer === 'function') {
-              // If it's a readable stream or blob
-              const buffer = await response.image.arrayBuffer();
-              imageBuffer = new Uint8Array(buffer);
-              imageBase64 = btoa(String.fromCharCode(...imageBuffer));
-            } else {
-              console.error('Unsupported image format:', typeof response.image, response.image);
-              throw new Error('Unsupported image format from AI model');
-            }
-
-            // Store image in R2
-            const imageKey = `images/${timestamp}-${i + 1}.png`;
-            
-            await env.IMAGES_BUCKET.put(imageKey, imageBuffer, {
-              httpMetadata: {
-                contentType: 'image/png',
-                cacheControl: 'public, max-age=31536000', // 1 year cache
-              },
-              customMetadata: {
-                prompt: prompt,
-                steps: steps.toString(),
-                timestamp: timestamp.toString(),
-                imageIndex: (i + 1).toString(),
-                totalImages: numImages.toString()
-              }
-            });
-            
-            images.push({
-              base64: `data:image/png;base64,${imageBase64}`,
-              r2Key: imageKey,
-              index: i + 1
-            });
-            
-            r2Keys.push(imageKey);
-          } catch (error) {
-            console.error(`Failed to generate image ${i + 1}:`, error);
-            // Continue with other images even if one fails
-          }
+        if (!record || (shareRoute[2] && !r2Key)) {
+          return new Response('Not Found', { status: 404, headers: corsHeaders });
         }
 
-        if (images.length === 0) {
+        if (!r2Key) {
+          return new Response(renderSharePage(record, shareRoute[1], url.origin), {
+            headers: { 'Content-Type': 'text/html; charset=utf-8', ...corsHeaders }
+          });
+        }
+
+        // Short cache, since the owner can revoke the link
+        const response = await serveImage(request, env, r2Key, {
+          'Cache-Control': 'public, max-age=3600',
+          ...corsHeaders
+        });
+        return response || new Response('Image not found', { status: 404, headers: corsHeaders });
+      } catch (error) {
+        return new Response('Failed to load shared generation', {
+          status: 500,
+          headers: corsHeaders
+        });
+      }
+    }
+
+    // API endpoint for deleting history records by id or time range
+    if (request.method === 'DELETE' && url.pathname === '/api/history') {
+      try {
+        const parsed = parseBulkDelete(await request.json());
+        if ('error' in parsed) {
           return new Response(
-            JSON.stringify({ error: 'Failed to generate any images' }),
+            JSON.stringify({ error: parsed.error }),
             {
-              status: 500,
+              status: 400,
               headers: { 'Content-Type': 'application/json', ...corsHeaders }
             }
           );
         }
 
-        // Store metadata in KV for history
-        const historyKey = `history:${timestamp}`;
-        await env.IMAGE_STORE.put(historyKey, JSON.stringify({
-          prompt,
-          steps,
-          numImages,
-          timestamp,
-          r2Keys,
-          generatedCount: images.length
-        }), { expirationTtl: 86400 * 30 }); // 30 days
+        const userId = ownerId(auth);
+        let records;
+        let more = false;
+        if ('ids' in parsed) {
+          records = (await Promise.all(parsed.ids.map(id => getHistory(env, userId, id)))).filter(Boolean);
+        } else {
+          ({ items: records, more } = await findHistoryInRange(env, userId, parsed.filters, MAX_BULK_DELETE));
+        }
+
+        for (const record of records) {
+          await deleteShareLink(env, record);
+          await removeFromCollections(env, userId, record);
+          await unindexHistory(env, userId, record);
+          await deleteHistory(env, userId, record);
+        }
 
         return new Response(JSON.stringify({
           success: true,
-          images,
-          timestamp,
-          prompt,
-          steps,
-          numImages,
-          generatedCount: images.length,
-          r2Keys
+          deleted: records.map(record => String(record.timestamp)),
+          more
         }), {
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
-
       } catch (error) {
-        console.error('Generation error:', error);
         return new Response(
-          JSON.stringify({ error: 'Failed to generate image', details: error.message }),
+          JSON.stringify({ error: 'Failed to delete history' }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -185,54 +891,79 @@ export default {
       }
     }
 
-    // API endpoint for individual image access
-    if (request.method === 'GET' && url.pathname.startsWith('/api/image/')) {
+    // API endpoint for history
+    if (request.method === 'GET' && url.pathname === '/api/history') {
       try {
-        const imageKey = url.pathname.replace('/api/image/', '');
-        console.log('Fetching image with key:', imageKey);
-        
-        const imageObject = await env.IMAGES_BUCKET.get(imageKey);
-        console.log('Image object found:', !!imageObject);
-        
-        if (!imageObject) {
-          console.log('Image not found in R2 bucket');
-          return new Response('Image not found', { status: 404, headers: corsHeaders });
-        }
-
-        return new Response(imageObject.body, {
+        const query = parseHistoryQuery(url.searchParams);
+        if ('error' in query) {
+          return new Response(
+            JSON.stringify({ error: query.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        // Records from before user accounts are the admin's; they show up
+        // as the migration moves them
+        if (ownerId(auth) === ADMIN_USER_ID && !query.cursor) {
+          await migrateLegacyHistory(env);
+        }
+
+        // Each user only sees their own generations
+        const page = await listHistory(env, ownerId(auth), query);
+
+        const items = await Promise.all(page.items.map(item => withHistoryImages(env, item)));
+
+        return new Response(JSON.stringify({ ...page, items }), {
           headers: {
-            'Content-Type': 'image/png',
-            'Cache-Control': 'public, max-age=31536000',
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
             ...corsHeaders
           }
         });
       } catch (error) {
-        console.error('Error fetching image:', error);
-        return new Response('Failed to fetch image', {
-          status: 500,
-          headers: corsHeaders
-        });
+        return new Response(
+          JSON.stringify({ error: 'Failed to fetch history' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
       }
     }
 
-    // API endpoint for history
-    if (request.method === 'GET' && url.pathname === '/api/history') {
+    // API endpoint for searching prompts in the history
+    if (request.method === 'GET' && url.pathname === '/api/search') {
       try {
-        const list = await env.IMAGE_STORE.list({ prefix: 'history:' });
-        const history = await Promise.all(
-          list.keys.slice(0, 20).map(async (key) => {
-            const data = await env.IMAGE_STORE.get(key.name);
-            const item = JSON.parse(data);
-            return item;
-          })
-        );
+        const query = parseSearchQuery(url.searchParams, env);
+        if ('error' in query) {
+          return new Response(
+            JSON.stringify({ error: query.error }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
 
-        return new Response(JSON.stringify(history.sort((a, b) => b.timestamp - a.timestamp)), {
-          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        const items = await searchHistory(env, ownerId(auth), query);
+
+        return new Response(JSON.stringify({
+          mode: query.mode,
+          items: await Promise.all(items.map(item => withHistoryImages(env, item)))
+        }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...corsHeaders
+          }
         });
       } catch (error) {
+        console.error('Search error:', error);
         return new Response(
-          JSON.stringify({ error: 'Failed to fetch history' }),
+          JSON.stringify({ error: 'Failed to search history' }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -241,31 +972,140 @@ export default {
       }
     }
 
-    // API endpoint for serving images from R2
-    if (request.method === 'GET' && url.pathname.startsWith('/api/image/')) {
+    // API endpoints for collections and the images in them
+    const collectionRoute = url.pathname.match(/^\/api\/collections(?:\/([\w-]+)(\/items)?)?$/);
+    if (collectionRoute) {
       try {
-        const imageKey = url.pathname.replace('/api/image/', '');
-        const object = await env.IMAGES_BUCKET.get(imageKey);
-        
-        if (!object) {
-          return new Response('Image not found', {
-            status: 404,
-            headers: corsHeaders
+        const userId = ownerId(auth);
+        const [, collectionId, itemsPath] = collectionRoute;
+
+        if (!collectionId && request.method === 'GET') {
+          return new Response(JSON.stringify({ collections: await listCollections(env, userId) }), {
+            headers: {
+              'Content-Type': 'application/json',
+              'Cache-Control': 'no-store',
+              ...corsHeaders
+            }
           });
         }
 
-        return new Response(object.body, {
-          headers: {
-            'Content-Type': 'image/png',
-            'Cache-Control': 'public, max-age=31536000',
-            ...corsHeaders
+        if (!collectionId && request.method === 'POST') {
+          const parsed = parseCollectionInput(await request.json());
+          const result = 'error' in parsed ? parsed : await createCollection(env, userId, parsed.fields);
+          if ('error' in result) {
+            return new Response(
+              JSON.stringify({ error: result.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
           }
-        });
+          return new Response(JSON.stringify(result.collection), {
+            status: 201,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        const collection = collectionId ? await getCollection(env, userId, collectionId) : null;
+        if (collectionId && !collection) {
+          return new Response(
+            JSON.stringify({ error: 'Collection not found' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            }
+          );
+        }
+
+        if (collection && !itemsPath && request.method === 'GET') {
+          return new Response(JSON.stringify({
+            ...collection,
+            items: await resolveCollectionItems(env, userId, collection)
+          }), {
+            headers: {
+              'Content-Type': 'application/json',
+              'Cache-Control': 'no-store',
+              ...corsHeaders
+            }
+          });
+        }
+
+        if (collection && !itemsPath && request.method === 'PATCH') {
+          const parsed = parseCollectionInput(await request.json(), true);
+          if ('error' in parsed) {
+            return new Response(
+              JSON.stringify({ error: parsed.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+          return new Response(JSON.stringify(await updateCollection(env, userId, collection, parsed.fields)), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (collection && !itemsPath && request.method === 'DELETE') {
+          await deleteCollection(env, userId, collection);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
+
+        if (collection && itemsPath && ['POST', 'DELETE'].includes(request.method)) {
+          const parsed = parseCollectionItems(await request.json());
+          if ('error' in parsed) {
+            return new Response(
+              JSON.stringify({ error: parsed.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+
+          if (request.method === 'DELETE') {
+            const updated = await removeCollectionItems(env, userId, collection, parsed.historyId, parsed.indices);
+            return new Response(JSON.stringify(updated), {
+              headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            });
+          }
+
+          const record = await getHistory(env, userId, Number(parsed.historyId));
+          if (!record) {
+            return new Response(
+              JSON.stringify({ error: 'History item not found' }),
+              {
+                status: 404,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+
+          const result = await addCollectionItems(env, userId, collection, record, parsed.indices);
+          if ('error' in result) {
+            return new Response(
+              JSON.stringify({ error: result.error }),
+              {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+              }
+            );
+          }
+          return new Response(JSON.stringify(result.collection), {
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          });
+        }
       } catch (error) {
-        return new Response('Failed to fetch image', {
-          status: 500,
-          headers: corsHeaders
-        });
+        return new Response(
+          JSON.stringify({ error: 'Failed to update collections' }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders }
+          }
+        );
       }
     }
 
@@ -273,6 +1113,26 @@ export default {
       status: 404,
       headers: corsHeaders
     });
+  },
+
+  // Consumer for GENERATION_QUEUE, used by /api/jobs when the queue is bound
+  /**
+   * @param {any} batch
+   * @param {any} env
+   */
+  async queue(batch, env) {
+    await consumeJobQueue(batch, env);
+  },
+
+  // Cron Trigger migrating legacy history records and reconciling R2 images
+  // with history, see ./history.js and ./reconcile.js
+  /**
+   * @param {any} _controller
+   * @param {any} env
+   * @param {ExecutionContext} ctx
+   */
+  async scheduled(_controller, env, ctx) {
+    ctx.waitUntil(migrateLegacyHistory(env).then(() => runScheduledReconcile(env)));
   }
 };
 
@@ -381,6 +1241,56 @@ async function getHTML() {
             color: #f56565;
         }
 
+        .enhance-btn {
+            background: #edf2f7;
+            color: #4a5568;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 8px;
+            font-size: 14px;
+            cursor: pointer;
+            margin-top: 8px;
+        }
+
+        .enhance-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+        }
+
+        .enhance-btn.secondary {
+            background: transparent;
+        }
+
+        .translate-toggle {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            margin-left: 10px;
+            font-size: 14px;
+            color: #718096;
+            font-weight: normal;
+        }
+
+        .enhance-preview {
+            margin-top: 10px;
+            padding: 12px;
+            background: #f7fafc;
+            border-radius: 8px;
+            font-size: 14px;
+            color: #4a5568;
+            line-height: 1.6;
+        }
+
+        .enhance-preview mark {
+            background: #c6f6d5;
+            border-radius: 3px;
+        }
+
+        .enhance-actions {
+            display: flex;
+            gap: 8px;
+        }
+
         .steps-group {
             display: flex;
             align-items: center;
@@ -401,6 +1311,18 @@ async function getHTML() {
             min-width: 60px;
         }
 
+        .aspect-select {
+            padding: 10px;
+            border: 2px solid #e2e8f0;
+            border-radius: 8px;
+            font-size: 14px;
+            background: white;
+        }
+
+        .aspect-select:disabled {
+            opacity: 0.5;
+        }
+
         .generate-btn {
             width: 100%;
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -537,17 +1459,76 @@ async function getHTML() {
             margin-bottom: 5px;
         }
 
-        .history-section {
-            background: white;
-            border-radius: 20px;
-            padding: 30px;
-            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+        .history-section {
+            background: white;
+            border-radius: 20px;
+            padding: 30px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+        }
+
+        .history-section h3 {
+            margin-bottom: 20px;
+            color: #4a5568;
+            font-size: 1.3rem;
+        }
+
+        .history-filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-bottom: 20px;
+        }
+
+        .history-filters input, .history-filters select {
+            padding: 8px 12px;
+            border: 2px solid #e2e8f0;
+            border-radius: 8px;
+            font-size: 14px;
+            font-family: inherit;
+        }
+
+        .history-filters .history-search {
+            flex: 1;
+            min-width: 200px;
+        }
+
+        .history-filters .history-steps {
+            width: 90px;
+        }
+
+        .history-status {
+            text-align: center;
+            color: #a0aec0;
+            margin-top: 20px;
+            min-height: 1em;
+        }
+
+        .history-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 10px;
+            margin-bottom: 20px;
+        }
+
+        .history-actions button {
+            padding: 8px 14px;
+            border: 2px solid #e2e8f0;
+            border-radius: 8px;
+            background: white;
+            color: #4a5568;
+            font-size: 14px;
+            font-family: inherit;
+            cursor: pointer;
+        }
+
+        .history-actions button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
         }
 
-        .history-section h3 {
-            margin-bottom: 20px;
-            color: #4a5568;
-            font-size: 1.3rem;
+        .history-actions .danger {
+            border-color: #f56565;
+            color: #c53030;
         }
 
         .history-grid {
@@ -557,6 +1538,7 @@ async function getHTML() {
         }
 
         .history-item {
+            position: relative;
             border: 1px solid #e2e8f0;
             border-radius: 12px;
             overflow: hidden;
@@ -569,10 +1551,74 @@ async function getHTML() {
             box-shadow: 0 10px 25px rgba(0,0,0,0.15);
         }
 
+        .history-item-tags {
+            font-size: 11px;
+            color: #667eea;
+            margin-top: 4px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .history-filters label {
+            display: flex;
+            align-items: center;
+            gap: 5px;
+            color: #4a5568;
+            font-size: 14px;
+        }
+
+        .history-filters .history-tag {
+            width: 120px;
+        }
+
+        .collections-section {
+            margin-top: 30px;
+        }
+
+        .collection-title {
+            color: #4a5568;
+            font-weight: 600;
+            margin-bottom: 15px;
+        }
+
+        .collection-card-icon {
+            font-size: 48px;
+            text-align: center;
+            padding: 30px 0;
+            background: #f7fafc;
+        }
+
+        .history-item.selected {
+            outline: 3px solid #667eea;
+        }
+
+        .history-delete-btn {
+            position: absolute;
+            top: 8px;
+            right: 8px;
+            display: none;
+            border: none;
+            border-radius: 6px;
+            background: rgba(255,255,255,0.9);
+            padding: 4px 8px;
+            cursor: pointer;
+        }
+
+        .history-item:hover .history-delete-btn {
+            display: block;
+        }
+
+        .history-grid.selecting .history-delete-btn {
+            display: none;
+        }
+
         .history-item img {
             width: 100%;
-            height: 150px;
+            height: auto;
+            aspect-ratio: 1 / 1;
             object-fit: cover;
+            display: block;
         }
 
         .history-item-info {
@@ -682,6 +1728,41 @@ async function getHTML() {
         .download-btn:hover {
             background: #38a169;
         }
+
+        .edit-panel {
+            margin-top: 15px;
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        }
+
+        .edit-panel .prompt-input {
+            min-height: 80px;
+        }
+
+        .auth-status {
+            margin-top: 10px;
+            font-size: 0.9rem;
+            opacity: 0.9;
+        }
+
+        .auth-status button {
+            background: rgba(255,255,255,0.2);
+            color: white;
+            border: 1px solid rgba(255,255,255,0.5);
+            border-radius: 6px;
+            padding: 2px 10px;
+            margin-left: 8px;
+            cursor: pointer;
+        }
+
+        .login-content {
+            max-width: 420px;
+        }
+
+        .login-content .prompt-input {
+            min-height: 0;
+        }
     </style>
 </head>
 <body>
@@ -690,6 +1771,10 @@ async function getHTML() {
         <div class="header">
             <h1>🎨 AI 图像生成器</h1>
             <p>基于 Cloudflare Workers AI 和 FLUX.1 [schnell] 模型</p>
+            <div id="auth-status" class="auth-status" style="display: none;">
+                已登录: <span id="auth-name"></span>
+                <button type="button" id="logout-btn">退出登录</button>
+            </div>
         </div>
 
         <!-- Main Content -->
@@ -712,6 +1797,31 @@ async function getHTML() {
                             required
                         ></textarea>
                         <div id="char-counter" class="char-counter">0 / 2048</div>
+                        <button type="button" id="enhance-btn" class="enhance-btn">✨ 优化提示词</button>
+                        <label class="translate-toggle">
+                            <input type="checkbox" id="translate" checked>
+                            自动将非英文提示词翻译为英文
+                        </label>
+                        <label class="translate-toggle">
+                            <input type="checkbox" id="private-generation">
+                            私密生成 (图像只能通过有时效的签名链接访问)
+                        </label>
+                        <div id="enhance-preview" class="enhance-preview" style="display: none;">
+                            <div><strong>原始提示词:</strong> <span id="enhance-original"></span></div>
+                            <div><strong>优化后:</strong> <span id="enhance-result"></span></div>
+                            <div class="enhance-actions">
+                                <button type="button" id="enhance-accept-btn" class="enhance-btn">使用优化后的提示词</button>
+                                <button type="button" id="enhance-cancel-btn" class="enhance-btn secondary">取消</button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="model">生成模型</label>
+                        <select id="model" class="steps-input" style="width: 100%;">
+                            <option value="">FLUX.1 [schnell]</option>
+                        </select>
+                        <small id="model-description" style="color: #718096;"></small>
                     </div>
 
                     <div class="form-group">
@@ -726,6 +1836,12 @@ async function getHTML() {
                                 value="4"
                             >
                             <div id="steps-display" class="steps-display">4 步</div>
+                            <select id="aspect-ratio" class="aspect-select" title="宽高比">
+                                <option value="1:1">1:1</option>
+                                <option value="16:9">16:9</option>
+                                <option value="9:16">9:16</option>
+                                <option value="4:3">4:3</option>
+                            </select>
                         </div>
                         <small style="color: #718096;">更多步数 = 更高质量，但生成时间更长</small>
                     </div>
@@ -746,6 +1862,20 @@ async function getHTML() {
                         <small style="color: #718096;">一次生成多张图片，每张都将保存到云存储</small>
                     </div>
 
+                    <div class="form-group">
+                        <label for="seed">随机种子 (可选)</label>
+                        <input 
+                            type="number" 
+                            id="seed" 
+                            class="steps-input" 
+                            min="0" 
+                            max="4294967295" 
+                            placeholder="留空则随机生成"
+                            style="width: 100%;"
+                        >
+                        <small style="color: #718096;">使用相同的种子和参数可以复现同一张图像</small>
+                    </div>
+
                     <button type="submit" id="generate-btn" class="generate-btn">
                         <span class="loading-spinner" id="loading-spinner"></span>
                         <span id="btn-text">🚀 生成图像</span>
@@ -767,9 +1897,47 @@ async function getHTML() {
         <!-- History Section -->
         <div class="history-section">
             <h3>📚 生成历史</h3>
+            <div class="history-filters">
+                <input type="search" id="history-search" class="history-search" placeholder="搜索提示词">
+                <select id="history-search-mode" title="搜索方式">
+                    <option value="filter">按时间排序</option>
+                    <option value="keyword">按相关度排序</option>
+                    <option value="semantic">语义搜索</option>
+                </select>
+                <select id="history-model">
+                    <option value="">全部模型</option>
+                </select>
+                <input type="number" id="history-steps" class="history-steps" min="1" placeholder="步数">
+                <input type="date" id="history-from" title="开始日期">
+                <input type="date" id="history-to" title="结束日期">
+                <input type="text" id="history-tag" class="history-tag" placeholder="标签">
+                <label><input type="checkbox" id="history-favorite"> 仅看收藏</label>
+            </div>
+            <div class="history-actions">
+                <button type="button" id="history-select-btn">☑️ 多选</button>
+                <button type="button" id="history-select-all-btn" style="display: none;">全选已加载</button>
+                <button type="button" id="history-delete-btn" class="danger" style="display: none;" disabled>🗑️ 删除所选 (0)</button>
+                <button type="button" id="history-delete-range-btn" class="danger" style="display: none;">🗑️ 删除日期范围内的全部记录</button>
+            </div>
             <div id="history-grid" class="history-grid">
                 <!-- History items will be loaded here -->
             </div>
+            <div id="history-status" class="history-status"></div>
+            <div id="history-sentinel"></div>
+        </div>
+
+        <!-- Collections Section -->
+        <div class="history-section collections-section">
+            <h3>📁 我的合集</h3>
+            <div class="history-actions">
+                <button type="button" id="collection-new-btn">➕ 新建合集</button>
+                <button type="button" id="collection-back-btn" style="display: none;">← 返回合集列表</button>
+                <button type="button" id="collection-rename-btn" style="display: none;">✏️ 重命名</button>
+                <button type="button" id="collection-delete-btn" class="danger" style="display: none;">🗑️ 删除合集</button>
+            </div>
+            <div id="collection-title" class="collection-title"></div>
+            <div id="collections-grid" class="history-grid"></div>
+            <div id="collections-status" class="history-status"></div>
         </div>
     </div>
 
@@ -780,6 +1948,40 @@ async function getHTML() {
             <img id="modal-image" src="" alt="Full size image">
             <div id="modal-info"></div>
             <button id="download-btn" class="download-btn">📥 下载图像</button>
+            <button id="regenerate-btn" class="download-btn" style="display: none;">🔁 使用相同种子重新生成</button>
+            <button id="variations-btn" class="download-btn" style="display: none;">🎲 生成变体</button>
+            <button id="edit-btn" class="download-btn" style="display: none;">✏️ 编辑</button>
+            <button id="share-btn" class="download-btn" style="display: none;">🔗 分享</button>
+            <button id="favorite-btn" class="download-btn" style="display: none;">☆ 收藏</button>
+            <button id="tags-btn" class="download-btn" style="display: none;">🏷️ 标签</button>
+            <button id="collect-btn" class="download-btn" style="display: none;">📁 加入合集</button>
+            <div id="edit-panel" class="edit-panel" style="display: none;">
+                <textarea id="edit-prompt" class="prompt-input" placeholder="描述您想要的修改，例如：把背景换成星空"></textarea>
+                <div class="steps-group">
+                    <label for="edit-strength">变化强度</label>
+                    <input type="range" id="edit-strength" class="steps-input" min="0.1" max="1" step="0.05" value="0.6">
+                    <div id="edit-strength-display" class="steps-display">0.6</div>
+                </div>
+                <div>
+                    <label for="edit-mask">蒙版 (可选，白色区域将被重绘)</label>
+                    <input type="file" id="edit-mask" accept="image/*">
+                </div>
+                <button id="edit-submit-btn" class="download-btn">🚀 开始编辑</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Login modal, shown when the Worker requires an API key -->
+    <div id="login-modal" class="modal">
+        <div class="modal-content login-content">
+            <h3>🔑 登录</h3>
+            <p style="color: #718096; margin: 10px 0;">请输入 API 密钥以生成图像和查看历史</p>
+            <div id="login-error" class="error-message" style="display: none;"></div>
+            <div id="login-providers"></div>
+            <form id="login-form">
+                <input type="password" id="api-key" class="prompt-input" placeholder="aig_..." autocomplete="current-password">
+                <button type="submit" class="download-btn">使用 API 密钥登录</button>
+            </form>
         </div>
     </div>
 
@@ -787,32 +1989,223 @@ async function getHTML() {
         // DOM Elements
         const promptInput = document.getElementById('prompt');
         const charCounter = document.getElementById('char-counter');
+        const enhanceBtn = document.getElementById('enhance-btn');
+        const translateInput = document.getElementById('translate');
+        const privateInput = document.getElementById('private-generation');
+        const enhancePreview = document.getElementById('enhance-preview');
+        const enhanceOriginal = document.getElementById('enhance-original');
+        const enhanceResult = document.getElementById('enhance-result');
+        const enhanceAcceptBtn = document.getElementById('enhance-accept-btn');
+        const enhanceCancelBtn = document.getElementById('enhance-cancel-btn');
+        const modelSelect = document.getElementById('model');
+        const modelDescription = document.getElementById('model-description');
         const stepsInput = document.getElementById('steps');
         const stepsDisplay = document.getElementById('steps-display');
+        const aspectRatioSelect = document.getElementById('aspect-ratio');
         const numImagesInput = document.getElementById('numImages');
         const numImagesDisplay = document.getElementById('numImages-display');
+        const seedInput = document.getElementById('seed');
         const generateForm = document.getElementById('generate-form');
         const generateBtn = document.getElementById('generate-btn');
         const loadingSpinner = document.getElementById('loading-spinner');
         const btnText = document.getElementById('btn-text');
         const resultContainer = document.getElementById('result-container');
         const historyGrid = document.getElementById('history-grid');
+        const historyStatus = document.getElementById('history-status');
+        const historySentinel = document.getElementById('history-sentinel');
+        const historySearchInput = document.getElementById('history-search');
+        const historySearchModeSelect = document.getElementById('history-search-mode');
+        const historyModelSelect = document.getElementById('history-model');
+        const historyStepsInput = document.getElementById('history-steps');
+        const historyFromInput = document.getElementById('history-from');
+        const historyToInput = document.getElementById('history-to');
+        const historySelectBtn = document.getElementById('history-select-btn');
+        const historySelectAllBtn = document.getElementById('history-select-all-btn');
+        const historyDeleteBtn = document.getElementById('history-delete-btn');
+        const historyDeleteRangeBtn = document.getElementById('history-delete-range-btn');
+        const historyTagInput = document.getElementById('history-tag');
+        const historyFavoriteInput = document.getElementById('history-favorite');
+        const collectionsGrid = document.getElementById('collections-grid');
+        const collectionsStatus = document.getElementById('collections-status');
+        const collectionTitle = document.getElementById('collection-title');
+        const collectionNewBtn = document.getElementById('collection-new-btn');
+        const collectionBackBtn = document.getElementById('collection-back-btn');
+        const collectionRenameBtn = document.getElementById('collection-rename-btn');
+        const collectionDeleteBtn = document.getElementById('collection-delete-btn');
         const errorMessage = document.getElementById('error-message');
         const successMessage = document.getElementById('success-message');
         const imageModal = document.getElementById('image-modal');
         const modalImage = document.getElementById('modal-image');
         const modalInfo = document.getElementById('modal-info');
         const downloadBtn = document.getElementById('download-btn');
+        const regenerateBtn = document.getElementById('regenerate-btn');
+        const variationsBtn = document.getElementById('variations-btn');
+        const editBtn = document.getElementById('edit-btn');
+        const shareBtn = document.getElementById('share-btn');
+        const favoriteBtn = document.getElementById('favorite-btn');
+        const tagsBtn = document.getElementById('tags-btn');
+        const collectBtn = document.getElementById('collect-btn');
+        const editPanel = document.getElementById('edit-panel');
+        const editPromptInput = document.getElementById('edit-prompt');
+        const editStrengthInput = document.getElementById('edit-strength');
+        const editStrengthDisplay = document.getElementById('edit-strength-display');
+        const editMaskInput = document.getElementById('edit-mask');
+        const editSubmitBtn = document.getElementById('edit-submit-btn');
         const closeModal = document.querySelector('.close');
+        const authStatus = document.getElementById('auth-status');
+        const authName = document.getElementById('auth-name');
+        const logoutBtn = document.getElementById('logout-btn');
+        const loginModal = document.getElementById('login-modal');
+        const loginForm = document.getElementById('login-form');
+        const loginError = document.getElementById('login-error');
+        const apiKeyInput = document.getElementById('api-key');
+        const loginProviders = document.getElementById('login-providers');
+
+        // Models returned by /api/models, keyed by id
+        let availableModels = {};
+
+        // Loaded history records keyed by timestamp, and the paging state
+        const historyItems = new Map();
+        let historyCursor = null;
+        let historyLoading = false;
+        let historyDone = false;
+
+        // Ids of the history records selected for deletion in multi-select mode
+        const selectedHistory = new Set();
+        let historySelecting = false;
+
+        // Collection shown in the collections section, or null for the list
+        let currentCollection = null;
 
         // Initialize
         document.addEventListener('DOMContentLoaded', () => {
-            loadHistory();
+            loadModels();
+            checkSession();
             updateCharCounter();
             updateStepsDisplay();
             updateNumImagesDisplay();
         });
 
+        // Load history once the session is known, or ask for an API key
+        async function checkSession() {
+            try {
+                const response = await fetch('/api/auth/session');
+                const session = await response.json();
+
+                if (session.authRequired && !session.authenticated) {
+                    showLogin();
+                    return;
+                }
+
+                authName.textContent = session.name || '';
+                authStatus.style.display = session.authRequired ? 'block' : 'none';
+                loadHistory();
+                loadCollections();
+            } catch (error) {
+                console.error('Session check error:', error);
+                loadHistory();
+                loadCollections();
+            }
+        }
+
+        function showLogin(message = '') {
+            loginError.textContent = message;
+            loginError.style.display = message ? 'block' : 'none';
+            authStatus.style.display = 'none';
+            loginModal.style.display = 'block';
+            apiKeyInput.focus();
+            loadProviders();
+        }
+
+        // Sign-in buttons for the identity providers the Worker has enabled
+        async function loadProviders() {
+            try {
+                const response = await fetch('/api/auth/providers');
+                const data = await response.json();
+                loginProviders.innerHTML = data.providers.map(provider => \`
+                    <button type="button" class="download-btn" onclick="signInWith('\${provider.name}')">使用 \${escapeHtml(provider.label)} 登录</button>
+                \`).join('');
+            } catch (error) {
+                console.error('Load providers error:', error);
+            }
+        }
+
+        function signInWith(provider) {
+            let query = '';
+            if (provider === 'local') {
+                const username = prompt('用户名');
+                if (!username) {
+                    return;
+                }
+                query = \`?username=\${encodeURIComponent(username)}\`;
+            }
+            window.location.href = \`/api/auth/\${provider}/login\${query}\`;
+        }
+
+        loginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const apiKey = apiKeyInput.value.trim();
+            if (!apiKey) {
+                return;
+            }
+
+            try {
+                // The Worker answers with a session cookie, which also covers <img> requests
+                const response = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ apiKey })
+                });
+
+                if (!response.ok) {
+                    showLogin(response.status === 401 ? 'API 密钥无效' : '登录失败');
+                    return;
+                }
+
+                apiKeyInput.value = '';
+                loginModal.style.display = 'none';
+                checkSession();
+            } catch (error) {
+                console.error('Login error:', error);
+                showLogin('网络错误，请稍后重试');
+            }
+        });
+
+        logoutBtn.addEventListener('click', async () => {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            historyGrid.innerHTML = '';
+            showLogin();
+        });
+
+        // Infinite scroll: load the next page when the end of the grid comes into view
+        new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting && historyItems.size > 0) {
+                loadMoreHistory();
+            }
+        }, { rootMargin: '200px' }).observe(historySentinel);
+
+        // Reload history when a filter changes; typing is debounced
+        let historySearchTimer = null;
+        [historySearchInput, historyTagInput].forEach(input => {
+            input.addEventListener('input', () => {
+                clearTimeout(historySearchTimer);
+                historySearchTimer = setTimeout(loadHistory, 300);
+            });
+        });
+        [historySearchModeSelect, historyModelSelect, historyStepsInput, historyFromInput, historyToInput, historyFavoriteInput].forEach(input => {
+            input.addEventListener('change', loadHistory);
+        });
+
+        historySelectBtn.addEventListener('click', () => setHistorySelecting(!historySelecting));
+        historySelectAllBtn.addEventListener('click', selectAllHistory);
+        historyDeleteBtn.addEventListener('click', () => deleteHistoryItems([...selectedHistory]));
+        historyDeleteRangeBtn.addEventListener('click', deleteHistoryRange);
+
+        collectionNewBtn.addEventListener('click', createCollection);
+        collectionBackBtn.addEventListener('click', loadCollections);
+        collectionRenameBtn.addEventListener('click', renameCollection);
+        collectionDeleteBtn.addEventListener('click', deleteCurrentCollection);
+
         // Character counter
         promptInput.addEventListener('input', updateCharCounter);
 
@@ -822,6 +2215,125 @@ async function getHTML() {
             charCounter.classList.toggle('warning', length > 1800);
         }
 
+        // Prompt enhancement preview; the accepted pair is sent with the
+        // next generation so history keeps what the user originally typed
+        let pendingEnhancement = null;
+        let acceptedEnhancement = null;
+
+        enhanceBtn.addEventListener('click', async () => {
+            const prompt = promptInput.value.trim();
+            if (!prompt) {
+                showError('请输入图像描述');
+                return;
+            }
+
+            enhanceBtn.disabled = true;
+            enhanceBtn.textContent = '优化中...';
+            hideMessages();
+
+            try {
+                const response = await fetch('/api/prompt/enhance', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ prompt })
+                });
+                if (response.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return;
+                }
+                if (response.status === 429) {
+                    showError(rateLimitMessage(response));
+                    return;
+                }
+                const data = await response.json();
+
+                if (!data.success) {
+                    showError(data.error || '提示词优化失败');
+                    return;
+                }
+
+                pendingEnhancement = { original: data.originalPrompt, enhanced: data.enhancedPrompt };
+                enhanceOriginal.textContent = data.originalPrompt;
+                enhanceResult.innerHTML = highlightAddedWords(data.originalPrompt, data.enhancedPrompt);
+                enhancePreview.style.display = 'block';
+            } catch (error) {
+                console.error('Enhance error:', error);
+                showError('网络错误，请稍后重试');
+            } finally {
+                enhanceBtn.disabled = false;
+                enhanceBtn.textContent = '✨ 优化提示词';
+            }
+        });
+
+        enhanceAcceptBtn.addEventListener('click', () => {
+            acceptedEnhancement = pendingEnhancement;
+            promptInput.value = pendingEnhancement.enhanced;
+            enhancePreview.style.display = 'none';
+            updateCharCounter();
+        });
+
+        enhanceCancelBtn.addEventListener('click', () => {
+            pendingEnhancement = null;
+            enhancePreview.style.display = 'none';
+        });
+
+        // Mark words of the enhanced prompt that the original did not contain
+        function highlightAddedWords(original, enhanced) {
+            const originalWords = new Set(original.toLowerCase().split(/\\s+/));
+            return enhanced.split(/(\\s+)/).map(part => {
+                if (!part.trim() || originalWords.has(part.toLowerCase())) {
+                    return escapeHtml(part);
+                }
+                return \`<mark>\${escapeHtml(part)}</mark>\`;
+            }).join('');
+        }
+
+        // Model selector
+        modelSelect.addEventListener('change', applyModelLimits);
+
+        async function loadModels() {
+            try {
+                const response = await fetch('/api/models');
+                const data = await response.json();
+
+                availableModels = {};
+                data.models.forEach(model => {
+                    availableModels[model.id] = model;
+                });
+
+                // Edit models are used through the modal's variation/edit actions
+                modelSelect.innerHTML = data.models.filter(model => model.task === 'text-to-image').map(model => \`
+                    <option value="\${model.id}" \${model.id === data.defaultModel ? 'selected' : ''}>\${escapeHtml(model.name)}</option>
+                \`).join('');
+                historyModelSelect.innerHTML = '<option value="">全部模型</option>' + data.models.map(model => \`
+                    <option value="\${model.id}">\${escapeHtml(model.name)}</option>
+                \`).join('');
+                applyModelLimits();
+            } catch (error) {
+                console.error('Load models error:', error);
+            }
+        }
+
+        function applyModelLimits() {
+            const model = availableModels[modelSelect.value];
+            if (!model) {
+                return;
+            }
+
+            stepsInput.min = model.steps.min;
+            stepsInput.max = model.steps.max;
+            stepsInput.value = model.steps.default;
+            modelDescription.textContent = model.description;
+
+            // Models without width/height support only produce square images
+            const sizable = model.params.includes('width');
+            aspectRatioSelect.disabled = !sizable;
+            if (!sizable) {
+                aspectRatioSelect.value = '1:1';
+            }
+            updateStepsDisplay();
+        }
+
         // Steps slider
         stepsInput.addEventListener('input', updateStepsDisplay);
 
@@ -846,8 +2358,16 @@ async function getHTML() {
 
         async function generateImage() {
             const prompt = promptInput.value.trim();
+            const model = modelSelect.value || undefined;
             const steps = parseInt(stepsInput.value);
             const numImages = parseInt(numImagesInput.value);
+            const seed = seedInput.value === '' ? undefined : parseInt(seedInput.value);
+            const aspectRatio = aspectRatioSelect.disabled ? undefined : aspectRatioSelect.value;
+            const translate = translateInput.checked ? 'auto' : 'off';
+            const isPrivate = privateInput.checked || undefined;
+            const originalPrompt = acceptedEnhancement && acceptedEnhancement.enhanced === prompt
+                ? acceptedEnhancement.original
+                : undefined;
 
             if (!prompt) {
                 showError('请输入图像描述');
@@ -862,30 +2382,244 @@ async function getHTML() {
             setGenerating(true);
             hideMessages();
 
-            try {
-                const response = await fetch('/api/generate', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ prompt, steps, numImages })
-                });
+            const body = { prompt, originalPrompt, translate, model, steps, numImages, seed, aspectRatio, private: isPrivate };
+            const request = { prompt, model, steps, numImages };
 
-                const data = await response.json();
+            try {
+                // Browsers that cannot read a response as a stream start a background job and poll it
+                const result = canStreamResponses()
+                    ? await generateWithStream(body, request)
+                    : await generateWithJob(body, request);
+                if (!result) {
+                    return;
+                }
 
-                if (data.success) {
-                    displayResults(data);
-                    showSuccess(\`成功生成了 \${data.generatedCount} 张图像并保存到云存储！\`);
+                if (result.success) {
+                    const failed = result.failures.length;
+                    showSuccess(failed > 0
+                        ? \`成功生成了 \${result.generatedCount} 张图像并保存到云存储，\${failed} 张生成失败\`
+                        : \`成功生成了 \${result.generatedCount} 张图像并保存到云存储！\`);
                     loadHistory(); // Refresh history
                 } else {
-                    showError(data.error || '生成失败');
+                    showError(result.error || '生成失败');
+                }
+            } catch (error) {
+                console.error('Generate error:', error);
+                showError('网络错误，请稍后重试');
+            } finally {
+                setGenerating(false);
+            }
+        }
+
+        function canStreamResponses() {
+            return typeof TextDecoderStream === 'function' &&
+                typeof ReadableStream === 'function' &&
+                'pipeThrough' in ReadableStream.prototype;
+        }
+
+        // Show why a response did not start a generation; false when it did
+        async function startError(response) {
+            if (response.status === 401) {
+                showLogin('登录已过期，请重新登录');
+                return true;
+            }
+            if (response.status === 429) {
+                showError(rateLimitMessage(response));
+                return true;
+            }
+            if (!response.ok) {
+                const data = await response.json();
+                showError(data.error || '生成失败');
+                return true;
+            }
+            return false;
+        }
+
+        async function generateWithStream(body, request) {
+            const response = await fetch('/api/generate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(body)
+            });
+            if (await startError(response)) {
+                return null;
+            }
+            return readGenerationStream(response, request);
+        }
+
+        async function generateWithJob(body, request) {
+            const response = await fetch('/api/jobs', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (await startError(response)) {
+                return null;
+            }
+            const data = await response.json();
+            return pollJob(data.jobId, request);
+        }
+
+        // Read the SSE response of /api/generate, rendering each image as it arrives
+        async function readGenerationStream(response, request) {
+            const result = {
+                ...request,
+                images: [],
+                seeds: [],
+                failures: [],
+                generatedCount: 0,
+                timestamp: Date.now(),
+                success: false
+            };
+            displayResults(result, true);
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            let started = false;
+
+            try {
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+
+                    buffer += value;
+                    const chunks = buffer.split('\\n\\n');
+                    buffer = chunks.pop();
+
+                    for (const chunk of chunks) {
+                        const event = parseServerSentEvent(chunk);
+                        if (!event) {
+                            continue;
+                        }
+
+                        if (event.type === 'start') {
+                            started = true;
+                            result.timestamp = event.data.timestamp;
+                            result.prompt = event.data.prompt;
+                            result.originalPrompt = event.data.originalPrompt;
+                            result.translatedPrompt = event.data.translatedPrompt;
+                            result.sourceLanguage = event.data.sourceLanguage;
+                            result.model = event.data.model;
+                            result.steps = event.data.steps;
+                            result.width = event.data.width;
+                            result.height = event.data.height;
+                        } else if (event.type === 'image') {
+                            result.images.push(event.data);
+                            result.seeds.push(event.data.seed);
+                            result.generatedCount = result.images.length;
+                        } else if (event.type === 'error') {
+                            result.failures.push(event.data);
+                            showError(\`第 \${event.data.index} 张图像生成失败: \${event.data.error}\`);
+                        } else if (event.type === 'done') {
+                            result.success = event.data.success;
+                            result.error = event.data.error;
+                            displayResults(result);
+                            return result;
+                        }
+                        displayResults(result, true);
+                    }
+                }
+            } catch (error) {
+                console.error('Generation stream error:', error);
+            }
+
+            // The server keeps generating after the connection drops, so wait for the history record
+            if (started) {
+                return pollHistoryRecord(result);
+            }
+            result.error = '连接已中断，请稍后在历史记录中查看';
+            return result;
+        }
+
+        const JOB_POLL_INTERVAL = 1500;
+        const JOB_POLL_TIMEOUT = 5 * 60 * 1000;
+
+        // Poll a generation job, rendering images as they finish
+        async function pollJob(jobId, request) {
+            const startedAt = Date.now();
+            displayResults({ ...request, images: [], generatedCount: 0, timestamp: startedAt }, true);
+
+            while (Date.now() - startedAt < JOB_POLL_TIMEOUT) {
+                await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+
+                const response = await fetch(\`/api/jobs/\${jobId}\`);
+                if (!response.ok) {
+                    // The job record may not have propagated yet
+                    continue;
+                }
+
+                const job = await response.json();
+                const finished = job.status === 'completed' || job.status === 'failed';
+
+                if (job.images.length > 0 || !finished) {
+                    displayResults({
+                        ...request,
+                        model: job.model,
+                        images: job.images,
+                        seeds: job.images.map(image => image.seed),
+                        generatedCount: job.images.length,
+                        timestamp: job.timestamp || startedAt
+                    }, !finished);
+                }
+
+                if (finished) {
+                    return {
+                        success: job.status === 'completed',
+                        generatedCount: job.images.length,
+                        failures: job.errors || [],
+                        error: job.error
+                    };
+                }
+            }
+
+            return { success: false, error: '生成超时，请稍后在历史记录中查看' };
+        }
+
+        // Poll the history record of a streamed generation whose connection dropped
+        async function pollHistoryRecord(result) {
+            const startedAt = Date.now();
+
+            while (Date.now() - startedAt < JOB_POLL_TIMEOUT) {
+                await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+
+                const response = await fetch(\`/api/history/\${result.timestamp}\`);
+                if (!response.ok) {
+                    // Not saved yet, or every image failed
+                    continue;
                 }
-            } catch (error) {
-                console.error('Generate error:', error);
-                showError('网络错误，请稍后重试');
-            } finally {
-                setGenerating(false);
+
+                const record = await response.json();
+                const done = {
+                    ...result,
+                    images: record.images,
+                    seeds: record.seeds || [],
+                    generatedCount: record.images.length,
+                    failures: (record.failedIndices || []).map(index => ({ index })),
+                    success: true
+                };
+                displayResults(done);
+                return done;
             }
+
+            return { ...result, success: false, error: '连接已中断，请稍后在历史记录中查看' };
+        }
+
+        function parseServerSentEvent(chunk) {
+            let type = 'message';
+            let data = '';
+            chunk.split('\\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    type = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+            return data ? { type, data: JSON.parse(data) } : null;
         }
 
         function setGenerating(isGenerating) {
@@ -894,15 +2628,27 @@ async function getHTML() {
             btnText.textContent = isGenerating ? '生成中...' : '🚀 生成图像';
         }
 
-        function displayResults(data) {
+        function displayResults(data, pending = false) {
+            if (pending && (!data.images || data.images.length === 0)) {
+                resultContainer.innerHTML = \`
+                    <div class="result-placeholder">
+                        生成中... 0 / \${data.numImages} 张
+                    </div>
+                \`;
+                return;
+            }
+
             if (data.images && data.images.length > 0) {
-                const imagesHtml = data.images.map((image, index) => \`
-                    <div class="image-item" onclick="openModal('\${image.base64}', '\${escapeHtml(data.prompt)}', \${data.steps}, \${data.timestamp}, \${index + 1})">
-                        <img src="\${image.base64}" alt="Generated image \${index + 1}">
-                        <div class="image-index">\${index + 1}/\${data.images.length}</div>
-                        <button class="download-btn" onclick="event.stopPropagation(); downloadImage('\${image.base64}', 'generated-image-\${data.timestamp}-\${index + 1}.png')">📥</button>
+                const imagesHtml = data.images.map((image, index) => {
+                    const src = image.url || image.base64;
+                    return \`
+                    <div class="image-item" onclick="openModal('\${src}', '\${escapeHtml(data.prompt)}', \${data.steps}, \${data.timestamp}, \${image.index || index + 1}, \${image.seed ?? null}, '\${data.model}')">
+                        <img src="\${src}" alt="Generated image \${index + 1}">
+                        <div class="image-index">\${image.index || index + 1}/\${data.numImages}</div>
+                        <button class="download-btn" onclick="event.stopPropagation(); downloadImage('\${src}', 'generated-image-\${data.timestamp}-\${image.index || index + 1}.png')">📥</button>
                     </div>
-                \`).join('');
+                \`;
+                }).join('');
 
                 resultContainer.innerHTML = \`
                     <div class="images-grid">
@@ -910,7 +2656,12 @@ async function getHTML() {
                     </div>
                     <div class="result-info">
                         <div><strong>提示词:</strong> \${escapeHtml(data.prompt)}</div>
+                        \${data.originalPrompt ? \`<div><strong>原始提示词:</strong> \${escapeHtml(data.originalPrompt)}</div>\` : ''}
+                        \${data.translatedPrompt ? \`<div><strong>英文翻译:</strong> \${escapeHtml(data.translatedPrompt)} (检测语言: \${escapeHtml(data.sourceLanguage)})</div>\` : ''}
+                        <div><strong>模型:</strong> \${escapeHtml(availableModels[data.model] ? availableModels[data.model].name : data.model)}</div>
                         <div><strong>步数:</strong> \${data.steps}</div>
+                        <div><strong>种子:</strong> \${(data.seeds || []).join(', ')}</div>
+                        \${data.width ? \`<div><strong>尺寸:</strong> \${data.width} × \${data.height}</div>\` : ''}
                         <div><strong>生成数量:</strong> \${data.generatedCount} / \${data.numImages} 张</div>
                         <div><strong>生成时间:</strong> \${new Date(data.timestamp).toLocaleString('zh-CN')}</div>
                         <div><strong>云存储:</strong> 已保存到 R2 存储桶</div>
@@ -931,70 +2682,673 @@ async function getHTML() {
             document.body.removeChild(link);
         }
 
+        // Load the first page of history for the current filters
         async function loadHistory() {
+            historyItems.clear();
+            historyCursor = null;
+            historyDone = false;
+            historyGrid.innerHTML = '';
+            selectedHistory.clear();
+            updateHistorySelection();
+            await loadMoreHistory();
+        }
+
+        // Append the next page; called again by the infinite scroll sentinel
+        async function loadMoreHistory() {
+            if (historyLoading || historyDone) {
+                return;
+            }
+            historyLoading = true;
+            historyStatus.textContent = '加载中...';
+
             try {
-                const response = await fetch('/api/history');
-                const history = await response.json();
-                
-                if (Array.isArray(history) && history.length > 0) {
-                    historyGrid.innerHTML = history.map(item => {
-                        // 使用R2图像API端点
-                        const imageUrl = item.r2Keys && item.r2Keys.length > 0 ? 
-                            \`/api/image/\${item.r2Keys[0]}\` : 
-                            'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==';
-                        
-                        return \`
-                        <div class="history-item" onclick="openHistoryModal('\${item.timestamp}', '\${escapeHtml(item.prompt)}', \${item.steps}, \${item.numImages || 1})">
-                            <img src="\${imageUrl}" alt="Generated image" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkVycm9yPC90ZXh0Pjwvc3ZnPg=='">
-                            <div class="history-item-info">
-                                <div class="history-item-prompt">\${escapeHtml(item.prompt)}</div>
-                                <div class="history-item-meta">步数: \${item.steps} | \${item.numImages || 1}张图片 | \${new Date(item.timestamp).toLocaleDateString('zh-CN')}</div>
-                            </div>
-                        </div>
-                        \`;
-                    }).join('');
+                const params = historyQuery();
+                if (historyCursor) {
+                    params.set('cursor', historyCursor);
+                }
+
+                // Relevance and semantic search return one ranked page and ignore the other filters
+                const q = historySearchInput.value.trim();
+                const searching = q && historySearchModeSelect.value !== 'filter';
+                const response = searching
+                    ? await fetch(\`/api/search?\${new URLSearchParams({ q, mode: historySearchModeSelect.value, limit: '50' })}\`)
+                    : await fetch(\`/api/history?\${params}\`);
+                if (response.status === 401) {
+                    showLogin();
+                    return;
+                }
+                const page = await response.json();
+                if (!response.ok) {
+                    historyStatus.textContent = page.error || '加载历史失败';
+                    return;
+                }
+                if (searching) {
+                    page.cursor = null;
+                }
+
+                page.items.forEach(item => historyItems.set(String(item.timestamp), item));
+                historyGrid.insertAdjacentHTML('beforeend', page.items.map(renderHistoryItem).join(''));
+                historyCursor = page.cursor;
+                historyDone = !page.cursor;
+
+                if (historyDone) {
+                    historyStatus.textContent = historyItems.size > 0
+                        ? ''
+                        : (params.toString() ? '没有符合条件的记录' : '暂无生成历史');
                 } else {
-                    historyGrid.innerHTML = '<p style="text-align: center; color: #a0aec0; grid-column: 1 / -1;">暂无生成历史</p>';
+                    historyStatus.textContent = '';
                 }
             } catch (error) {
                 console.error('Load history error:', error);
-                historyGrid.innerHTML = '<p style="text-align: center; color: #f56565; grid-column: 1 / -1;">加载历史失败</p>';
+                historyStatus.textContent = '加载历史失败';
+            } finally {
+                historyLoading = false;
+            }
+
+            // The observer only fires on changes, so keep going while the sentinel is on screen
+            if (!historyDone && historySentinel.getBoundingClientRect().top < window.innerHeight) {
+                loadMoreHistory();
+            }
+        }
+
+        // Query parameters for the history filter bar
+        function historyQuery() {
+            const params = new URLSearchParams();
+            const q = historySearchInput.value.trim();
+            if (q) {
+                params.set('q', q);
+            }
+            if (historyModelSelect.value) {
+                params.set('model', historyModelSelect.value);
+            }
+            if (historyStepsInput.value) {
+                params.set('steps', historyStepsInput.value);
+            }
+            // Date inputs are local days; the API takes millisecond timestamps
+            if (historyFromInput.value) {
+                params.set('from', String(new Date(\`\${historyFromInput.value}T00:00:00\`).getTime()));
+            }
+            if (historyToInput.value) {
+                params.set('to', String(new Date(\`\${historyToInput.value}T00:00:00\`).getTime() + 86400000 - 1));
+            }
+            const tag = historyTagInput.value.trim();
+            if (tag) {
+                params.set('tag', tag);
+            }
+            if (historyFavoriteInput.checked) {
+                params.set('favorite', 'true');
+            }
+            return params;
+        }
+
+        function renderHistoryItem(item) {
+            // 使用R2图像API端点
+            const imageUrl = item.images && item.images.length > 0 ? 
+                item.images[0].thumbnailUrl : 
+                'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==';
+
+            return \`
+            <div class="history-item" data-id="\${item.timestamp}" onclick="historyItemClicked(this, '\${item.timestamp}', '\${escapeHtml(item.prompt)}', \${item.steps}, \${item.numImages || 1})">
+                <button class="history-delete-btn" title="删除" onclick="event.stopPropagation(); deleteHistoryItems(['\${item.timestamp}'])">🗑️</button>
+                <img src="\${imageUrl}" alt="Generated image" style="aspect-ratio: \${item.width || 1} / \${item.height || 1};" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkVycm9yPC90ZXh0Pjwvc3ZnPg=='">
+                <div class="history-item-info">
+                    <div class="history-item-prompt">\${item.favorite ? '⭐ ' : ''}\${escapeHtml(item.prompt)}</div>
+                    <div class="history-item-meta">步数: \${item.steps} | \${item.numImages || 1}张图片 | \${new Date(item.timestamp).toLocaleDateString('zh-CN')}</div>
+                    \${item.tags && item.tags.length > 0 ? \`<div class="history-item-tags">\${item.tags.map(tag => '#' + escapeHtml(tag)).join(' ')}</div>\` : ''}
+                </div>
+            </div>
+            \`;
+        }
+
+        // Star or unstar a history record, or replace its tags
+        async function updateHistoryItem(timestamp, update) {
+            try {
+                const response = await fetch(\`/api/history/\${timestamp}\`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(update)
+                });
+                if (response.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return null;
+                }
+                const data = await response.json();
+                if (!data.success) {
+                    showError(data.error || '更新失败');
+                    return null;
+                }
+
+                const item = historyItems.get(String(timestamp));
+                if (item) {
+                    item.favorite = data.favorite;
+                    item.favoriteImages = data.favoriteImages;
+                    item.tags = data.tags;
+                    const element = historyGrid.querySelector(\`[data-id="\${timestamp}"]\`);
+                    if (element) {
+                        element.outerHTML = renderHistoryItem(item);
+                    }
+                }
+                return data;
+            } catch (error) {
+                console.error('Update history error:', error);
+                showError('网络错误，请稍后重试');
+                return null;
+            }
+        }
+
+        async function toggleFavorite(timestamp, favorite, button) {
+            const data = await updateHistoryItem(timestamp, { favorite });
+            if (data) {
+                showSuccess(data.favorite ? '已收藏，收藏的记录不会过期' : '已取消收藏，超过 30 天的记录将在 7 天后过期');
+                if (button) {
+                    button.textContent = data.favorite ? '★ 取消收藏' : '☆ 收藏';
+                    button.onclick = () => toggleFavorite(timestamp, !data.favorite, button);
+                }
+            }
+        }
+
+        // Star or unstar one image of a batch; the record stays starred while any image is
+        async function toggleImageFavorite(timestamp, index, favorite, button) {
+            const data = await updateHistoryItem(timestamp, { favorite, indices: [index] });
+            if (data) {
+                const starred = data.favoriteImages.includes(index);
+                showSuccess(starred ? '已收藏这张图片，收藏的记录不会过期' : '已取消收藏这张图片');
+                button.textContent = starred ? '★' : '☆';
+                button.onclick = () => toggleImageFavorite(timestamp, index, !starred, button);
+            }
+        }
+
+        async function editTags(timestamp, tags) {
+            const input = prompt('输入标签，用逗号分隔 (最多 10 个)', tags.join(', '));
+            if (input === null) {
+                return null;
+            }
+            const data = await updateHistoryItem(timestamp, { tags: input.split(/[,，]/) });
+            if (data) {
+                showSuccess(data.tags.length > 0 ? \`标签已更新: \${data.tags.join(', ')}\` : '标签已清空');
+            }
+            return data;
+        }
+
+        // Add images of a record to a collection picked by number, or to a new one named by the user
+        async function addToCollection(timestamp, indices = null) {
+            try {
+                const listResponse = await fetch('/api/collections');
+                if (listResponse.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return;
+                }
+                const { collections = [] } = await listResponse.json();
+                const choices = collections.map((collection, i) => \`\${i + 1}. \${collection.name}\`).join('\\n');
+                const answer = prompt(choices
+                    ? \`输入合集编号，或输入新合集名称:\\n\${choices}\`
+                    : '输入新合集名称:');
+                if (!answer || !answer.trim()) {
+                    return;
+                }
+
+                let collection = /^\\d+$/.test(answer.trim()) ? collections[Number(answer.trim()) - 1] : null;
+                if (!collection) {
+                    const createResponse = await fetch('/api/collections', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ name: answer.trim() })
+                    });
+                    collection = await createResponse.json();
+                    if (!createResponse.ok) {
+                        showError(collection.error || '创建合集失败');
+                        return;
+                    }
+                }
+
+                const response = await fetch(\`/api/collections/\${collection.id}/items\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ historyId: String(timestamp), ...(indices ? { indices } : {}) })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    showError(data.error || '加入合集失败');
+                    return;
+                }
+                showSuccess(\`已加入合集「\${collection.name}」\`);
+                loadCollections();
+            } catch (error) {
+                console.error('Add to collection error:', error);
+                showError('网络错误，请稍后重试');
+            }
+        }
+
+        // Collections section: the list of collections, or the images of the open one
+        async function loadCollections() {
+            currentCollection = null;
+            updateCollectionActions();
+            collectionTitle.textContent = '';
+
+            try {
+                const response = await fetch('/api/collections');
+                if (!response.ok) {
+                    collectionsStatus.textContent = response.status === 401 ? '' : '加载合集失败';
+                    collectionsGrid.innerHTML = '';
+                    return;
+                }
+                const { collections } = await response.json();
+                collectionsGrid.innerHTML = collections.map(collection => \`
+                    <div class="history-item collection-card" onclick="openCollection('\${collection.id}')">
+                        <div class="collection-card-icon">📁</div>
+                        <div class="history-item-info">
+                            <div class="history-item-prompt">\${escapeHtml(collection.name)}</div>
+                            <div class="history-item-meta">\${collection.itemCount} 张图片 | \${new Date(collection.updatedAt).toLocaleDateString('zh-CN')}</div>
+                        </div>
+                    </div>
+                \`).join('');
+                collectionsStatus.textContent = collections.length > 0 ? '' : '暂无合集，可在图像详情中加入合集';
+            } catch (error) {
+                console.error('Load collections error:', error);
+                collectionsStatus.textContent = '加载合集失败';
+            }
+        }
+
+        async function openCollection(id) {
+            try {
+                const response = await fetch(\`/api/collections/\${id}\`);
+                const collection = await response.json();
+                if (!response.ok) {
+                    showError(collection.error || '加载合集失败');
+                    return;
+                }
+
+                currentCollection = collection;
+                updateCollectionActions();
+                collectionTitle.textContent = collection.description
+                    ? \`\${collection.name} — \${collection.description}\`
+                    : collection.name;
+                collectionsGrid.innerHTML = collection.items.map(item => \`
+                    <div class="history-item" onclick="openModal('\${item.url}', '\${escapeHtml(item.prompt)}', \${item.steps}, \${Number(item.historyId)}, \${item.index}, \${item.seed ?? null}, '\${item.model}')">
+                        <button class="history-delete-btn" title="移出合集" onclick="event.stopPropagation(); removeFromCollection('\${item.historyId}', \${item.index})">✖</button>
+                        <img src="\${item.thumbnailUrl}" alt="Collection image" loading="lazy">
+                        <div class="history-item-info">
+                            <div class="history-item-prompt">\${escapeHtml(item.prompt)}</div>
+                            <div class="history-item-meta">第 \${item.index} 张 | \${new Date(Number(item.historyId)).toLocaleDateString('zh-CN')}</div>
+                        </div>
+                    </div>
+                \`).join('');
+                collectionsStatus.textContent = collection.items.length > 0 ? '' : '合集中还没有图像';
+            } catch (error) {
+                console.error('Open collection error:', error);
+                showError('加载合集失败');
+            }
+        }
+
+        function updateCollectionActions() {
+            const open = currentCollection !== null;
+            collectionNewBtn.style.display = open ? 'none' : 'inline-block';
+            collectionBackBtn.style.display = open ? 'inline-block' : 'none';
+            collectionRenameBtn.style.display = open ? 'inline-block' : 'none';
+            collectionDeleteBtn.style.display = open ? 'inline-block' : 'none';
+        }
+
+        // Create, rename or delete collections and their items; returns the response body, or null on failure
+        async function requestCollection(path, method, body) {
+            try {
+                const response = await fetch(path, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+                if (response.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return null;
+                }
+                const data = await response.json();
+                if (!response.ok) {
+                    showError(data.error || '操作失败');
+                    return null;
+                }
+                return data;
+            } catch (error) {
+                console.error('Collection error:', error);
+                showError('网络错误，请稍后重试');
+                return null;
+            }
+        }
+
+        async function createCollection() {
+            const name = prompt('新合集名称');
+            if (name && name.trim() && await requestCollection('/api/collections', 'POST', { name: name.trim() })) {
+                loadCollections();
+            }
+        }
+
+        async function renameCollection() {
+            const name = prompt('合集名称', currentCollection.name);
+            if (name && name.trim() && await requestCollection(\`/api/collections/\${currentCollection.id}\`, 'PATCH', { name: name.trim() })) {
+                openCollection(currentCollection.id);
+            }
+        }
+
+        async function deleteCurrentCollection() {
+            if (!confirm(\`确定删除合集「\${currentCollection.name}」吗？合集中的图像不会被删除\`)) {
+                return;
+            }
+            if (await requestCollection(\`/api/collections/\${currentCollection.id}\`, 'DELETE')) {
+                showSuccess('合集已删除');
+                loadCollections();
+            }
+        }
+
+        async function removeFromCollection(historyId, index) {
+            const body = { historyId, indices: [index] };
+            if (await requestCollection(\`/api/collections/\${currentCollection.id}/items\`, 'DELETE', body)) {
+                openCollection(currentCollection.id);
+            }
+        }
+
+        // Clicks open the record, or toggle its selection in multi-select mode
+        function historyItemClicked(element, timestamp, prompt, steps, numImages) {
+            if (!historySelecting) {
+                openHistoryModal(timestamp, prompt, steps, numImages);
+                return;
+            }
+            if (selectedHistory.has(timestamp)) {
+                selectedHistory.delete(timestamp);
+            } else {
+                selectedHistory.add(timestamp);
+            }
+            element.classList.toggle('selected', selectedHistory.has(timestamp));
+            updateHistorySelection();
+        }
+
+        function setHistorySelecting(selecting) {
+            historySelecting = selecting;
+            selectedHistory.clear();
+            historyGrid.classList.toggle('selecting', selecting);
+            historyGrid.querySelectorAll('.history-item.selected').forEach(element => element.classList.remove('selected'));
+            updateHistorySelection();
+        }
+
+        function selectAllHistory() {
+            historyItems.forEach((item, id) => selectedHistory.add(id));
+            historyGrid.querySelectorAll('.history-item').forEach(element => element.classList.add('selected'));
+            updateHistorySelection();
+        }
+
+        function updateHistorySelection() {
+            historySelectBtn.textContent = historySelecting ? '取消多选' : '☑️ 多选';
+            historySelectAllBtn.style.display = historySelecting ? 'inline-block' : 'none';
+            historyDeleteBtn.style.display = historySelecting ? 'inline-block' : 'none';
+            historyDeleteBtn.disabled = selectedHistory.size === 0;
+            historyDeleteBtn.textContent = \`🗑️ 删除所选 (\${selectedHistory.size})\`;
+            historyDeleteRangeBtn.style.display = historySelecting && (historyFromInput.value || historyToInput.value)
+                ? 'inline-block'
+                : 'none';
+        }
+
+        // Send a bulk delete request; returns the response body, or null on failure
+        async function requestHistoryDelete(body) {
+            const response = await fetch('/api/history', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (response.status === 401) {
+                showLogin('登录已过期，请重新登录');
+                return null;
+            }
+            const data = await response.json();
+            if (!data.success) {
+                showError(data.error || '删除失败');
+                return null;
+            }
+            return data;
+        }
+
+        async function deleteHistoryItems(ids) {
+            const message = ids.length === 1
+                ? '确定删除这条记录及其图像吗？此操作无法撤销'
+                : \`确定删除选中的 \${ids.length} 条记录及其图像吗？此操作无法撤销\`;
+            if (ids.length === 0 || !confirm(message)) {
+                return;
+            }
+
+            let deleted = 0;
+            try {
+                // The API takes at most 50 ids per request
+                for (let i = 0; i < ids.length; i += 50) {
+                    const data = await requestHistoryDelete({ ids: ids.slice(i, i + 50) });
+                    if (!data) {
+                        break;
+                    }
+                    removeHistoryItems(data.deleted);
+                    deleted += data.deleted.length;
+                }
+            } catch (error) {
+                console.error('Delete history error:', error);
+                showError('网络错误，请稍后重试');
+                return;
+            }
+
+            if (deleted > 0) {
+                showSuccess(\`已删除 \${deleted} 条记录\`);
+            }
+        }
+
+        // Delete every record in the date range of the filter bar, ignoring the other filters
+        async function deleteHistoryRange() {
+            const params = historyQuery();
+            const range = {};
+            ['from', 'to'].forEach(name => {
+                if (params.has(name)) {
+                    range[name] = Number(params.get(name));
+                }
+            });
+            if (!confirm('确定删除所选日期范围内的全部记录及其图像吗？此操作无法撤销')) {
+                return;
+            }
+
+            let deleted = 0;
+            try {
+                for (;;) {
+                    const data = await requestHistoryDelete(range);
+                    if (!data) {
+                        break;
+                    }
+                    deleted += data.deleted.length;
+                    if (!data.more) {
+                        break;
+                    }
+                }
+            } catch (error) {
+                console.error('Delete history error:', error);
+                showError('网络错误，请稍后重试');
+            }
+
+            if (deleted > 0) {
+                showSuccess(\`已删除 \${deleted} 条记录\`);
+            }
+            loadHistory();
+        }
+
+        function removeHistoryItems(ids) {
+            ids.forEach(id => {
+                historyItems.delete(id);
+                selectedHistory.delete(id);
+                const element = historyGrid.querySelector(\`[data-id="\${id}"]\`);
+                if (element) {
+                    element.remove();
+                }
+            });
+            updateHistorySelection();
+            if (historyItems.size === 0 && historyDone) {
+                historyStatus.textContent = '暂无生成历史';
             }
         }
 
-        function openModal(imageUrl, prompt, steps, timestamp, imageIndex = null) {
+        function openModal(imageUrl, prompt, steps, timestamp, imageIndex = null, seed = null, model = null) {
             modalImage.src = imageUrl;
             modalInfo.innerHTML = \`
                 <div style="margin-top: 15px;">
                     <div><strong>提示词:</strong> \${escapeHtml(prompt)}</div>
                     <div><strong>步数:</strong> \${steps}</div>
+                    \${seed !== null ? \`<div><strong>种子:</strong> \${seed}</div>\` : ''}
                     \${imageIndex ? \`<div><strong>图片:</strong> 第 \${imageIndex} 张</div>\` : ''}
                     <div><strong>生成时间:</strong> \${new Date(timestamp).toLocaleString('zh-CN')}</div>
                 </div>
             \`;
             const filename = imageIndex ? \`ai-image-\${timestamp}-\${imageIndex}.png\` : \`ai-image-\${timestamp}.png\`;
             downloadBtn.onclick = () => downloadImage(imageUrl, filename);
+            regenerateBtn.style.display = seed !== null ? 'inline-block' : 'none';
+            regenerateBtn.onclick = () => regenerateWithSeed(prompt, steps, seed, model);
+
+            // Variations and edits work on images stored in R2; signed URLs
+            // of private images carry a query string
+            const r2Key = imageUrl.startsWith('/api/image/') ? imageUrl.slice('/api/image/'.length).split('?')[0] : null;
+            variationsBtn.style.display = r2Key ? 'inline-block' : 'none';
+            editBtn.style.display = r2Key ? 'inline-block' : 'none';
+            editPanel.style.display = 'none';
+            editPromptInput.value = prompt;
+            editMaskInput.value = '';
+            variationsBtn.onclick = () => createVariations(r2Key, prompt);
+            editBtn.onclick = () => {
+                editPanel.style.display = editPanel.style.display === 'none' ? 'flex' : 'none';
+            };
+            editSubmitBtn.onclick = () => submitEdit(r2Key);
+            [shareBtn, favoriteBtn, tagsBtn, collectBtn].forEach(button => {
+                button.style.display = 'none';
+            });
             imageModal.style.display = 'block';
         }
 
+        editStrengthInput.addEventListener('input', () => {
+            editStrengthDisplay.textContent = editStrengthInput.value;
+        });
+
+        function createVariations(r2Key, prompt) {
+            runEdit('/api/img2img', {
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    r2Key,
+                    prompt,
+                    strength: 0.6,
+                    numImages: parseInt(numImagesInput.value)
+                })
+            });
+        }
+
+        function submitEdit(r2Key) {
+            const prompt = editPromptInput.value.trim();
+            if (!prompt) {
+                showError('请输入编辑描述');
+                return;
+            }
+
+            const strength = parseFloat(editStrengthInput.value);
+            const maskFile = editMaskInput.files[0];
+
+            if (maskFile) {
+                // Inpainting needs the mask uploaded as multipart form data
+                const form = new FormData();
+                form.append('r2Key', r2Key);
+                form.append('prompt', prompt);
+                form.append('strength', strength);
+                form.append('mask', maskFile);
+                runEdit('/api/inpaint', { body: form });
+            } else {
+                runEdit('/api/img2img', {
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ r2Key, prompt, strength })
+                });
+            }
+        }
+
+        async function runEdit(endpoint, init) {
+            imageModal.style.display = 'none';
+            setGenerating(true);
+            hideMessages();
+
+            try {
+                const response = await fetch(endpoint, { method: 'POST', ...init });
+                if (response.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return;
+                }
+                if (response.status === 429) {
+                    showError(rateLimitMessage(response));
+                    return;
+                }
+                const data = await response.json();
+
+                if (data.success) {
+                    displayResults(data);
+                    showSuccess(\`成功生成了 \${data.generatedCount} 张图像并保存到云存储！\`);
+                    loadHistory(); // Refresh history
+                } else {
+                    showError(data.error || '编辑失败');
+                }
+            } catch (error) {
+                console.error('Edit error:', error);
+                showError('网络错误，请稍后重试');
+            } finally {
+                setGenerating(false);
+            }
+        }
+
+        function regenerateWithSeed(prompt, steps, seed, model) {
+            if (model && availableModels[model]) {
+                modelSelect.value = model;
+                applyModelLimits();
+            }
+            promptInput.value = prompt;
+            stepsInput.value = steps;
+            numImagesInput.value = 1;
+            seedInput.value = seed;
+            updateCharCounter();
+            updateStepsDisplay();
+            updateNumImagesDisplay();
+            imageModal.style.display = 'none';
+            generateImage();
+        }
+
         async function openHistoryModal(timestamp, prompt, steps, numImages) {
             try {
-                // 获取历史记录详情
-                const response = await fetch('/api/history');
-                const history = await response.json();
-                const item = history.find(h => h.timestamp.toString() === timestamp);
-                
+                // Records outside the loaded pages are fetched on their own
+                let item = historyItems.get(String(timestamp));
                 if (!item) {
-                    showError('无法找到历史记录');
-                    return;
+                    const response = await fetch(\`/api/history/\${timestamp}\`);
+                    if (response.status === 401) {
+                        showLogin('登录已过期，请重新登录');
+                        return;
+                    }
+                    if (!response.ok) {
+                        showError('无法找到历史记录');
+                        return;
+                    }
+                    item = await response.json();
                 }
+                prompt = prompt || item.prompt;
+                steps = steps || item.steps;
+                numImages = numImages || item.numImages || item.r2Keys.length;
 
                 if (numImages === 1) {
                     // 单图显示
-                    const imageUrl = item.imageData ? 
-                        \`data:image/png;base64,\${item.imageData}\` : 
-                        \`/api/image/\${item.r2Keys[0]}\`;
-                    openModal(imageUrl, prompt, steps, timestamp);
+                    const imageUrl = item.imageData ?
+                        \`data:image/png;base64,\${item.imageData}\` :
+                        item.images[0].url;
+                    openModal(imageUrl, prompt, steps, timestamp, null, item.seeds ? item.seeds[0] : null, item.model);
+                    shareBtn.style.display = item.r2Keys ? 'inline-block' : 'none';
+                    shareBtn.onclick = () => shareHistory(timestamp);
+                    favoriteBtn.style.display = 'inline-block';
+                    favoriteBtn.textContent = item.favorite ? '★ 取消收藏' : '☆ 收藏';
+                    favoriteBtn.onclick = () => toggleFavorite(timestamp, !item.favorite, favoriteBtn);
+                    tagsBtn.style.display = 'inline-block';
+                    tagsBtn.onclick = async () => {
+                        const data = await editTags(timestamp, item.tags || []);
+                        if (data) {
+                            item.tags = data.tags;
+                        }
+                    };
+                    collectBtn.style.display = item.r2Keys ? 'inline-block' : 'none';
+                    collectBtn.onclick = () => addToCollection(timestamp);
                 } else {
                     // 多图显示 - 在新页面或模态框中显示所有图片
                     showHistoryImagesGrid(item, prompt, steps, timestamp);
@@ -1005,13 +3359,41 @@ async function getHTML() {
             }
         }
 
+        // Create (or reuse) the public link of a generation and copy it
+        async function shareHistory(timestamp) {
+            try {
+                const response = await fetch(\`/api/history/\${timestamp}/share\`, { method: 'POST' });
+                if (response.status === 401) {
+                    showLogin('登录已过期，请重新登录');
+                    return;
+                }
+                const data = await response.json();
+                if (!data.success) {
+                    showError(data.error || '创建分享链接失败');
+                    return;
+                }
+
+                try {
+                    await navigator.clipboard.writeText(data.shareUrl);
+                    showSuccess(\`分享链接已复制: \${data.shareUrl}\`);
+                } catch (error) {
+                    showSuccess(\`分享链接: \${data.shareUrl}\`);
+                }
+            } catch (error) {
+                console.error('Share error:', error);
+                showError('网络错误，请稍后重试');
+            }
+        }
+
         function showHistoryImagesGrid(item, prompt, steps, timestamp) {
-            const imagesHtml = item.r2Keys.map((key, index) => \`
+            const imagesHtml = item.images.map((image, index) => \`
                 <div class="image-container">
-                    <img src="/api/image/\${key}" alt="Generated image \${index + 1}">
-                    <button class="download-btn" onclick="downloadImageFromUrl('/api/image/\${key}', 'ai-image-\${timestamp}-\${index + 1}.png')">
+                    <img src="\${image.url}" alt="Generated image \${index + 1}">
+                    <button class="download-btn" onclick="downloadImageFromUrl('\${image.url}', 'ai-image-\${timestamp}-\${index + 1}.png')">
                         下载图片 \${index + 1}
                     </button>
+                    <button class="download-btn" onclick="toggleImageFavorite(\${timestamp}, \${image.index}, \${!image.favorite}, this)">\${image.favorite ? '★' : '☆'}</button>
+                    <button class="download-btn" onclick="addToCollection(\${timestamp}, [\${index + 1}])">📁</button>
                 </div>
             \`).join('');
 
@@ -1026,8 +3408,18 @@ async function getHTML() {
                     <div><strong>生成时间:</strong> \${new Date(timestamp).toLocaleString('zh-CN')}</div>
                     <div><strong>云存储:</strong> 已保存到 R2 存储桶</div>
                 </div>
+                <button class="download-btn" onclick="shareHistory(\${timestamp})">🔗 分享</button>
+                <button class="download-btn" onclick="toggleFavorite(\${timestamp}, \${!item.favorite}, this)">\${item.favorite ? '★ 取消收藏' : '☆ 收藏'}</button>
+                <button class="download-btn" id="history-tags-btn">🏷️ 标签</button>
+                <button class="download-btn" onclick="addToCollection(\${timestamp})">📁 加入合集</button>
             \`;
-            
+            document.getElementById('history-tags-btn').onclick = async () => {
+                const data = await editTags(timestamp, item.tags || []);
+                if (data) {
+                    item.tags = data.tags;
+                }
+            };
+
             // 滚动到结果区域
             resultContainer.scrollIntoView({ behavior: 'smooth' });
         }
@@ -1067,6 +3459,13 @@ async function getHTML() {
             return div.innerHTML;
         }
 
+        // Message for a 429 response, using its Retry-After header
+        function rateLimitMessage(response) {
+            const seconds = parseInt(response.headers.get('Retry-After') || '60');
+            const wait = seconds < 60 ? \`\${seconds} 秒\` : \`\${Math.ceil(seconds / 60)} 分钟\`;
+            return \`请求过于频繁或已达到每日生成上限，请在 \${wait}后重试\`;
+        }
+
         function showError(message) {
             errorMessage.textContent = message;
             errorMessage.style.display = 'block';
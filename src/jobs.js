@@ -0,0 +1,267 @@
+// Background generation jobs. POST /api/jobs stores a job record in KV and
+// returns immediately; the batch then runs in a queue consumer (when the
+// GENERATION_QUEUE binding is configured) or via ctx.waitUntil, updating the
+// record as images finish so clients can poll GET /api/jobs/:id.
+
+import {
+  parseGenerateOptions,
+  preparePrompt,
+  generateBatch,
+  saveHistory,
+  imageUrl,
+  thumbnailUrl
+} from './generation.js';
+
+const JOB_PREFIX = 'job:';
+const JOB_TTL = 86400; // 1 day
+
+// KV accepts one write per second to a key
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * @typedef {'queued' | 'running' | 'completed' | 'failed'} JobStatus
+ */
+
+/**
+ * @typedef {Object} JobRecord
+ * @property {string} id
+ * @property {string} userId - Owner of the job and its images
+ * @property {JobStatus} status
+ * @property {Object} request - Validated request body the job was created from
+ * @property {string} prompt
+ * @property {string} [originalPrompt]
+ * @property {string} model
+ * @property {number} steps
+ * @property {number} numImages
+ * @property {boolean} [private] - Image URLs are signed when the job is polled
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number | null} timestamp - Batch timestamp, also the history key once completed
+ * @property {{ index: number, r2Key: string, url: string, thumbnailUrl: string, seed: number }[]} images
+ * @property {{ index: number, seed: number, error: string }[]} errors
+ * @property {string} [error]
+ */
+
+/**
+ * Create a job and schedule it for background execution.
+ *
+ * @param {any} env
+ * @param {{ waitUntil(promise: Promise<unknown>): void }} ctx
+ * @param {any} body - Parsed JSON request body
+ * @param {string} userId - Owner of the job, see ownerId in ./users.js
+ * @returns {Promise<{ error: string } | { job: JobRecord }>}
+ */
+export async function createJob(env, ctx, body, userId) {
+  const parsed = parseGenerateOptions(body, 'text-to-image', userId, env);
+  if ('error' in parsed) {
+    return parsed;
+  }
+
+  const now = Date.now();
+  /** @type {JobRecord} */
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    status: 'queued',
+    request: body,
+    prompt: parsed.options.prompt,
+    model: parsed.options.model.id,
+    steps: parsed.options.steps,
+    numImages: parsed.options.numImages,
+    ...(parsed.options.private ? { private: true } : {}),
+    createdAt: now,
+    updatedAt: now,
+    timestamp: null,
+    images: [],
+    errors: []
+  };
+
+  await putJob(env, job);
+
+  if (env.GENERATION_QUEUE) {
+    await env.GENERATION_QUEUE.send({ jobId: job.id, request: body });
+  } else {
+    ctx.waitUntil(runJob(env, job.id, body));
+  }
+
+  return { job };
+}
+
+/**
+ * @param {any} env
+ * @param {string} id
+ * @returns {Promise<JobRecord | null>}
+ */
+export async function getJob(env, id) {
+  const data = await env.IMAGE_STORE.get(`${JOB_PREFIX}${id}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Public view of a job; the stored request body stays internal.
+ *
+ * @param {JobRecord} job
+ * @returns {Object}
+ */
+export function toJobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    prompt: job.prompt,
+    originalPrompt: job.originalPrompt,
+    model: job.model,
+    steps: job.steps,
+    numImages: job.numImages,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    timestamp: job.timestamp,
+    images: job.images,
+    errors: job.errors,
+    error: job.error
+  };
+}
+
+/**
+ * Run a job to completion, recording progress as images finish.
+ *
+ * @param {any} env
+ * @param {string} id
+ * @param {any} body - Request body the job was created from
+ * @returns {Promise<void>}
+ */
+export async function runJob(env, id, body) {
+  const job = await getJob(env, id);
+  if (!job || job.status === 'completed' || job.status === 'failed') {
+    return;
+  }
+
+  const parsed = parseGenerateOptions(body, 'text-to-image', job.userId, env);
+  if ('error' in parsed) {
+    job.status = 'failed';
+    job.error = parsed.error;
+    await putJob(env, job);
+    return;
+  }
+
+  const timestamp = Date.now();
+  job.status = 'running';
+  job.timestamp = timestamp;
+  const progress = progressWriter(env, job);
+  progress.write();
+
+  try {
+    const options = await preparePrompt(env, parsed.options);
+    if (options.originalPrompt) {
+      job.prompt = options.prompt;
+      job.originalPrompt = options.originalPrompt;
+    }
+
+    const { images, failures } = await generateBatch(env, options, timestamp, {
+      onImage: (image) => {
+        job.images.push({
+          index: image.index,
+          r2Key: image.r2Key,
+          url: imageUrl(image.r2Key),
+          thumbnailUrl: thumbnailUrl(image.r2Key, image.thumbKey),
+          seed: image.seed
+        });
+        progress.write();
+      },
+      onError: (failure) => {
+        job.errors.push(failure);
+        progress.write();
+      }
+    });
+
+    if (images.length === 0) {
+      job.status = 'failed';
+      job.error = 'Failed to generate any images';
+    } else {
+      await saveHistory(env, options, timestamp, images, failures);
+      job.status = 'completed';
+    }
+  } catch (error) {
+    console.error(`Job ${id} failed:`, error);
+    job.status = 'failed';
+    job.error = /** @type {Error} */ (error).message;
+  }
+
+  // A progress write landing after this one would undo the final status
+  await progress.settle();
+  await putJob(env, job);
+}
+
+/**
+ * Progress writes of a running job. Images of a batch finish concurrently,
+ * so writes are chained, at most one per PROGRESS_INTERVAL_MS, and each
+ * writes the job as it is then. A failed write is logged and skipped: the
+ * generation goes on and the final status write records its progress.
+ *
+ * @param {any} env
+ * @param {JobRecord} job
+ * @returns {{ write(): void, settle(): Promise<void> }}
+ */
+function progressWriter(env, job) {
+  let chain = Promise.resolve();
+  let queued = false;
+  // Without a queue the job runs right after createJob wrote it
+  let lastWrite = job.updatedAt;
+
+  const wait = () => new Promise(resolve => setTimeout(resolve, Math.max(0, lastWrite + PROGRESS_INTERVAL_MS - Date.now())));
+
+  return {
+    write() {
+      // A queued write picks up everything recorded before it runs
+      if (queued) {
+        return;
+      }
+      queued = true;
+      chain = chain.then(async () => {
+        await wait();
+        queued = false;
+        lastWrite = Date.now();
+        try {
+          await putJob(env, job);
+        } catch (error) {
+          console.error(`Failed to record progress of job ${job.id}:`, error);
+        }
+      });
+    },
+    // Wait for pending writes, and until the key accepts the next one
+    async settle() {
+      await chain;
+      await wait();
+    }
+  };
+}
+
+/**
+ * Queue consumer entry point for jobs sent to GENERATION_QUEUE.
+ *
+ * @param {{ messages: { body: { jobId: string, request: any }, ack(): void, retry(): void }[] }} batch
+ * @param {any} env
+ * @returns {Promise<void>}
+ */
+export async function consumeJobQueue(batch, env) {
+  for (const message of batch.messages) {
+    try {
+      await runJob(env, message.body.jobId, message.body.request);
+      message.ack();
+    } catch (error) {
+      console.error('Queue job error:', error);
+      message.retry();
+    }
+  }
+}
+
+/**
+ * @param {any} env
+ * @param {JobRecord} job
+ * @returns {Promise<void>}
+ */
+async function putJob(env, job) {
+  job.updatedAt = Date.now();
+  await env.IMAGE_STORE.put(`${JOB_PREFIX}${job.id}`, JSON.stringify(job), {
+    expirationTtl: JOB_TTL
+  });
+}
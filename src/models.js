@@ -0,0 +1,366 @@
+// Registry of the Workers AI image models the generator can run.
+// Each entry describes the inputs a model accepts so the API can validate
+// requests and translate them into the model's own parameter names.
+
+/**
+ * @typedef {Object} RangeSpec
+ * @property {number} min
+ * @property {number} max
+ * @property {number} default
+ */
+
+/**
+ * @typedef {'text-to-image' | 'img2img' | 'inpainting'} ModelTask
+ */
+
+/**
+ * @typedef {Object} ModelDefinition
+ * @property {string} id - Workers AI model identifier passed to `env.AI.run`
+ * @property {ModelTask} task - Which endpoint the model serves
+ * @property {string} name - Human readable name shown in the UI
+ * @property {string} description
+ * @property {RangeSpec & { param: string }} steps - Allowed diffusion steps and the input name the model expects
+ * @property {string[]} params - Optional request parameters the model understands
+ * @property {RangeSpec} dimensions - Allowed width/height in pixels; `default` is the square output size
+ * @property {RangeSpec} [guidance] - Allowed guidance scale, when `guidance` is supported
+ * @property {RangeSpec} [strength] - Allowed transformation strength, when `strength` is supported
+ * @property {'base64' | 'binary'} responseFormat - `base64` returns `{ image: string }`, `binary` returns a PNG stream
+ */
+
+/** @type {ModelDefinition[]} */
+const MODELS = [
+  {
+    id: '@cf/black-forest-labs/flux-1-schnell',
+    task: 'text-to-image',
+    name: 'FLUX.1 [schnell]',
+    description: '12B 参数的快速文生图模型，少量步数即可获得高质量图像',
+    steps: { min: 1, max: 8, default: 4, param: 'steps' },
+    params: ['seed'],
+    // Fixed output size; FLUX.1 [schnell] does not accept width/height
+    dimensions: { min: 1024, max: 1024, default: 1024 },
+    responseFormat: 'base64'
+  },
+  {
+    id: '@cf/stabilityai/stable-diffusion-xl-base-1.0',
+    task: 'text-to-image',
+    name: 'Stable Diffusion XL',
+    description: 'Stability AI 的 SDXL 基础模型，支持反向提示词和尺寸控制',
+    steps: { min: 1, max: 20, default: 20, param: 'num_steps' },
+    params: ['seed', 'width', 'height', 'guidance', 'negative_prompt'],
+    dimensions: { min: 256, max: 2048, default: 1024 },
+    guidance: { min: 0, max: 30, default: 7.5 },
+    responseFormat: 'binary'
+  },
+  {
+    id: '@cf/bytedance/stable-diffusion-xl-lightning',
+    task: 'text-to-image',
+    name: 'SDXL Lightning',
+    description: 'ByteDance 蒸馏版 SDXL，数步即可出图',
+    steps: { min: 1, max: 20, default: 8, param: 'num_steps' },
+    params: ['seed', 'width', 'height', 'guidance', 'negative_prompt'],
+    dimensions: { min: 256, max: 2048, default: 1024 },
+    guidance: { min: 0, max: 30, default: 7.5 },
+    responseFormat: 'binary'
+  },
+  {
+    id: '@cf/lykon/dreamshaper-8-lcm',
+    task: 'text-to-image',
+    name: 'DreamShaper 8 LCM',
+    description: '基于 Stable Diffusion 1.5 的写实风格模型',
+    steps: { min: 1, max: 20, default: 8, param: 'num_steps' },
+    params: ['seed', 'width', 'height', 'guidance', 'negative_prompt'],
+    dimensions: { min: 256, max: 2048, default: 512 },
+    guidance: { min: 0, max: 30, default: 7.5 },
+    responseFormat: 'binary'
+  },
+  {
+    id: '@cf/runwayml/stable-diffusion-v1-5-img2img',
+    task: 'img2img',
+    name: 'Stable Diffusion 1.5 Img2Img',
+    description: '根据提示词对已有图像进行重绘或生成变体',
+    steps: { min: 1, max: 20, default: 20, param: 'num_steps' },
+    params: ['seed', 'width', 'height', 'guidance', 'negative_prompt', 'strength'],
+    dimensions: { min: 256, max: 2048, default: 512 },
+    guidance: { min: 0, max: 30, default: 7.5 },
+    strength: { min: 0, max: 1, default: 1 },
+    responseFormat: 'binary'
+  },
+  {
+    id: '@cf/runwayml/stable-diffusion-v1-5-inpainting',
+    task: 'inpainting',
+    name: 'Stable Diffusion 1.5 Inpainting',
+    description: '按蒙版重绘图像的局部区域',
+    steps: { min: 1, max: 20, default: 20, param: 'num_steps' },
+    params: ['seed', 'width', 'height', 'guidance', 'negative_prompt', 'strength', 'mask'],
+    dimensions: { min: 256, max: 2048, default: 512 },
+    guidance: { min: 0, max: 30, default: 7.5 },
+    strength: { min: 0, max: 1, default: 1 },
+    responseFormat: 'binary'
+  }
+];
+
+export const DEFAULT_MODEL_ID = '@cf/black-forest-labs/flux-1-schnell';
+
+/** @type {Record<ModelTask, string>} */
+export const DEFAULT_MODEL_BY_TASK = {
+  'text-to-image': DEFAULT_MODEL_ID,
+  'img2img': '@cf/runwayml/stable-diffusion-v1-5-img2img',
+  'inpainting': '@cf/runwayml/stable-diffusion-v1-5-inpainting'
+};
+
+// Named aspect ratios accepted as `aspectRatio` in place of width/height
+export const ASPECT_RATIOS = {
+  '1:1': [1, 1],
+  '16:9': [16, 9],
+  '9:16': [9, 16],
+  '4:3': [4, 3]
+};
+
+// Stable Diffusion models require dimensions divisible by 8
+const DIMENSION_STEP = 8;
+
+/**
+ * @param {string} id
+ * @returns {ModelDefinition | undefined}
+ */
+export function getModel(id) {
+  return MODELS.find(model => model.id === id);
+}
+
+/**
+ * @returns {ModelDefinition[]}
+ */
+export function listModels() {
+  return MODELS;
+}
+
+/**
+ * @param {ModelDefinition} model
+ * @param {string} param
+ * @returns {boolean}
+ */
+export function supportsParam(model, param) {
+  return model.params.includes(param);
+}
+
+/**
+ * Validate generation options against a model's limits.
+ *
+ * @param {ModelDefinition} model
+ * @param {{ steps: number, guidance?: number, negativePrompt?: string, strength?: number }} options
+ * @returns {string | null} An error message, or null when the options are valid
+ */
+export function validateModelOptions(model, options) {
+  const { steps, guidance, negativePrompt, strength } = options;
+
+  if (!Number.isInteger(steps) || steps < model.steps.min || steps > model.steps.max) {
+    return `Steps must be an integer between ${model.steps.min} and ${model.steps.max} for ${model.name}`;
+  }
+
+  if (guidance !== undefined) {
+    if (!model.guidance) {
+      return `${model.name} does not support guidance`;
+    }
+    if (typeof guidance !== 'number' || guidance < model.guidance.min || guidance > model.guidance.max) {
+      return `Guidance must be between ${model.guidance.min} and ${model.guidance.max} for ${model.name}`;
+    }
+  }
+
+  if (negativePrompt !== undefined) {
+    if (!supportsParam(model, 'negative_prompt')) {
+      return `${model.name} does not support negativePrompt`;
+    }
+    if (typeof negativePrompt !== 'string' || negativePrompt.length > 2048) {
+      return 'Negative prompt must be a string of at most 2048 characters';
+    }
+  }
+
+  if (strength !== undefined) {
+    if (!model.strength) {
+      return `${model.name} does not support strength`;
+    }
+    if (typeof strength !== 'number' || strength < model.strength.min || strength > model.strength.max) {
+      return `Strength must be between ${model.strength.min} and ${model.strength.max} for ${model.name}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the output size from explicit width/height or a named aspect ratio.
+ * The long side of a preset matches the model's default square size.
+ *
+ * @param {ModelDefinition} model
+ * @param {{ width?: number, height?: number, aspectRatio?: string }} options
+ * @returns {{ error: string } | { width: number, height: number }}
+ */
+export function resolveDimensions(model, options) {
+  const { width, height, aspectRatio } = options;
+  const { min, max, default: size } = model.dimensions;
+
+  if (width === undefined && height === undefined && aspectRatio === undefined) {
+    return { width: size, height: size };
+  }
+
+  if (!supportsParam(model, 'width')) {
+    // A square preset is still valid for fixed-size models
+    if (aspectRatio === '1:1' && width === undefined && height === undefined) {
+      return { width: size, height: size };
+    }
+    return { error: `${model.name} does not support custom dimensions` };
+  }
+
+  if (aspectRatio !== undefined) {
+    if (width !== undefined || height !== undefined) {
+      return { error: 'Specify either aspectRatio or width/height, not both' };
+    }
+
+    const ratio = ASPECT_RATIOS[/** @type {keyof typeof ASPECT_RATIOS} */ (aspectRatio)];
+    if (!ratio) {
+      return { error: `Aspect ratio must be one of: ${Object.keys(ASPECT_RATIOS).join(', ')}` };
+    }
+
+    const [w, h] = ratio;
+    const scale = size / Math.max(w, h);
+    return {
+      width: Math.max(min, roundDimension(w * scale)),
+      height: Math.max(min, roundDimension(h * scale))
+    };
+  }
+
+  const resolved = { width: width ?? size, height: height ?? size };
+  for (const [name, value] of Object.entries(resolved)) {
+    if (!Number.isInteger(value) || value < min || value > max || value % DIMENSION_STEP !== 0) {
+      return { error: `${name} must be a multiple of ${DIMENSION_STEP} between ${min} and ${max} for ${model.name}` };
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function roundDimension(value) {
+  return Math.round(value / DIMENSION_STEP) * DIMENSION_STEP;
+}
+
+/**
+ * Translate validated options into the input object for `env.AI.run`.
+ *
+ * @param {ModelDefinition} model
+ * @param {{
+ *   prompt: string,
+ *   steps: number,
+ *   seed?: number,
+ *   width?: number,
+ *   height?: number,
+ *   guidance?: number,
+ *   negativePrompt?: string,
+ *   strength?: number,
+ *   sourceImage?: Uint8Array,
+ *   mask?: Uint8Array
+ * }} options
+ * @returns {Record<string, unknown>}
+ */
+export function buildModelInputs(model, options) {
+  /** @type {Record<string, unknown>} */
+  const inputs = {
+    prompt: options.prompt,
+    [model.steps.param]: options.steps
+  };
+
+  if (options.seed !== undefined && supportsParam(model, 'seed')) {
+    inputs.seed = options.seed;
+  }
+  if (supportsParam(model, 'width')) {
+    inputs.width = options.width;
+    inputs.height = options.height;
+  }
+  if (options.guidance !== undefined && supportsParam(model, 'guidance')) {
+    inputs.guidance = options.guidance;
+  }
+  if (options.negativePrompt && supportsParam(model, 'negative_prompt')) {
+    inputs.negative_prompt = options.negativePrompt;
+  }
+  if (options.strength !== undefined && supportsParam(model, 'strength')) {
+    inputs.strength = options.strength;
+  }
+  // Edit models take images as arrays of byte values
+  if (options.sourceImage && model.task !== 'text-to-image') {
+    inputs.image = Array.from(options.sourceImage);
+  }
+  if (options.mask && supportsParam(model, 'mask')) {
+    inputs.mask = Array.from(options.mask);
+  }
+
+  return inputs;
+}
+
+/**
+ * Normalize a model's output into raw PNG bytes plus their base64 encoding.
+ *
+ * @param {ModelDefinition} model
+ * @param {any} output - Value resolved by `env.AI.run`
+ * @returns {Promise<{ bytes: Uint8Array, base64: string }>}
+ */
+export async function decodeImageOutput(model, output) {
+  // Binary models resolve to the image stream itself rather than `{ image }`
+  const image = model.responseFormat === 'binary' ? output : output && output.image;
+
+  if (!image) {
+    throw new Error('No image data received from AI model');
+  }
+
+  if (typeof image === 'string') {
+    // FLUX.1 returns the PNG already base64 encoded
+    return { bytes: base64ToBytes(image), base64: image };
+  }
+
+  let bytes;
+  if (image instanceof ArrayBuffer) {
+    bytes = new Uint8Array(image);
+  } else if (image instanceof Uint8Array) {
+    bytes = image;
+  } else if (image instanceof ReadableStream) {
+    bytes = new Uint8Array(await new Response(image).arrayBuffer());
+  } else if (typeof image.arrayBuffer === 'function') {
+    // Blob-like values
+    bytes = new Uint8Array(await image.arrayBuffer());
+  } else {
+    console.error('Unsupported image format:', typeof image, image);
+    throw new Error('Unsupported image format from AI model');
+  }
+
+  return { bytes, base64: bytesToBase64(bytes) };
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  // Encode in chunks; spreading a multi-megabyte array into
+  // String.fromCharCode overflows the call stack
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
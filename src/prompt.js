@@ -0,0 +1,215 @@
+// Prompt preprocessing with Workers AI text models before image generation:
+// translating non-English prompts and expanding short prompts into detailed
+// descriptions.
+
+// Text model used when PROMPT_ENHANCE_MODEL is not configured
+const DEFAULT_ENHANCE_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+// Translation model used when TRANSLATION_MODEL is not configured
+const DEFAULT_TRANSLATION_MODEL = '@cf/meta/m2m100-1.2b';
+
+// Scripts recognised by detectLanguage, checked in order. Japanese is
+// listed before Chinese because Japanese text mixes kana with kanji.
+const SCRIPT_LANGUAGES = [
+  { lang: 'ja', pattern: /[\u3040-\u30ff]/g },
+  { lang: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g },
+  { lang: 'zh', pattern: /[\u4e00-\u9fff\u3400-\u4dbf]/g },
+  { lang: 'ru', pattern: /[\u0400-\u04ff]/g },
+  { lang: 'ar', pattern: /[\u0600-\u06ff]/g },
+  { lang: 'th', pattern: /[\u0e00-\u0e7f]/g }
+];
+
+// Latin-script languages recognised by detectLanguage from common function
+// words and the letters only they use. English is scored the same way, so
+// a prompt is only translated when another language clearly wins.
+const LATIN_LANGUAGES = [
+  {
+    lang: 'en',
+    words: ['the', 'a', 'an', 'and', 'of', 'with', 'in', 'on', 'at', 'is', 'by', 'for', 'from', 'under', 'over', 'his', 'her', 'its', 'to', 'into']
+  },
+  {
+    lang: 'fr',
+    words: ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'avec', 'dans', 'sur', 'sous', 'est', 'au', 'aux', 'en', 'pour', 'par', 'qui'],
+    letters: /[œùûîë]/
+  },
+  {
+    lang: 'es',
+    words: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'con', 'en', 'del', 'de', 'por', 'para', 'sobre', 'bajo', 'es', 'al', 'que'],
+    letters: /[ñ¿¡]/
+  },
+  {
+    lang: 'de',
+    words: ['der', 'die', 'das', 'ein', 'eine', 'einer', 'einem', 'einen', 'und', 'mit', 'im', 'in', 'auf', 'unter', 'ist', 'von', 'dem', 'den', 'des', 'zum', 'zur'],
+    letters: /[äß]/
+  },
+  {
+    lang: 'it',
+    words: ['il', 'lo', 'la', 'gli', 'le', 'un', 'una', 'uno', 'e', 'con', 'nel', 'nella', 'sul', 'sulla', 'di', 'del', 'della', 'per', 'sotto', 'è']
+  },
+  {
+    lang: 'pt',
+    words: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'com', 'no', 'na', 'nos', 'nas', 'do', 'da', 'de', 'em', 'sobre', 'sob', 'para', 'é'],
+    letters: /[ãõ]/
+  },
+  {
+    lang: 'nl',
+    words: ['de', 'het', 'een', 'en', 'met', 'in', 'op', 'onder', 'van', 'is', 'bij', 'naar', 'door', 'voor']
+  },
+  {
+    lang: 'pl',
+    words: ['i', 'w', 'z', 'na', 'pod', 'nad', 'jest', 'oraz', 'ze', 'się', 'do', 'od'],
+    letters: /[ąęłńśźżć]/
+  },
+  {
+    lang: 'tr',
+    words: ['bir', 've', 'ile', 'bu', 'şu', 'üzerinde', 'altında', 'içinde', 'için', 'gibi'],
+    letters: /[ğış]/
+  },
+  {
+    lang: 'vi',
+    words: ['một', 'và', 'với', 'của', 'trong', 'trên', 'dưới', 'những', 'các', 'là', 'người'],
+    letters: /[ơưđă\u1ea0-\u1ef9]/
+  }
+];
+
+// Score another Latin-script language needs, and must exceed English by,
+// before a prompt is translated from it
+const MIN_LATIN_SCORE = 1.4;
+
+const MAX_PROMPT_LENGTH = 2048;
+
+const SYSTEM_PROMPT = [
+  'You rewrite prompts for a text-to-image model.',
+  'Expand the user\'s idea into one detailed English description covering subject, style, composition, lighting and mood.',
+  'Keep the user\'s intent, do not add text overlays, and answer with the prompt only, no preamble or quotes.',
+  `Stay under ${MAX_PROMPT_LENGTH} characters.`
+].join(' ');
+
+/**
+ * Expand a prompt with the configured text model.
+ *
+ * @param {any} env
+ * @param {string} prompt
+ * @returns {Promise<string>} The enhanced prompt
+ */
+export async function enhancePrompt(env, prompt) {
+  const model = env.PROMPT_ENHANCE_MODEL || DEFAULT_ENHANCE_MODEL;
+  const output = await env.AI.run(model, {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt }
+    ],
+    max_tokens: 512
+  });
+
+  const enhanced = cleanModelText(output && output.response);
+  if (!enhanced) {
+    throw new Error('Prompt enhancement returned no text');
+  }
+
+  return enhanced.slice(0, MAX_PROMPT_LENGTH);
+}
+
+/**
+ * Strip wrapping quotes and labels the text model sometimes adds.
+ *
+ * @param {unknown} text
+ * @returns {string}
+ */
+function cleanModelText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .trim()
+    .replace(/^(enhanced )?prompt:\s*/i, '')
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .trim();
+}
+
+/**
+ * Guess the language of a prompt. Non-Latin scripts identify the language
+ * directly; Latin-script text is scored by detectLatinLanguage and treated
+ * as English unless another language clearly wins.
+ *
+ * @param {string} text
+ * @returns {string} ISO 639-1 language code
+ */
+export function detectLanguage(text) {
+  const letters = text.replace(/[\s\d\p{P}\p{S}]/gu, '').length;
+  if (letters === 0) {
+    return 'en';
+  }
+
+  for (const { lang, pattern } of SCRIPT_LANGUAGES) {
+    const matches = text.match(pattern);
+    // A few foreign words inside an English prompt are left alone
+    if (matches && matches.length / letters >= 0.2) {
+      return lang;
+    }
+  }
+
+  return detectLatinLanguage(text);
+}
+
+/**
+ * Score Latin-script text against LATIN_LANGUAGES. Each word adds one
+ * point, split between the languages it is a function word of, plus one
+ * split between the languages whose letters it contains.
+ *
+ * @param {string} text
+ * @returns {string} ISO 639-1 language code
+ */
+function detectLatinLanguage(text) {
+  /** @type {Map<string, number>} */
+  const scores = new Map(LATIN_LANGUAGES.map(({ lang }) => [lang, 0]));
+
+  for (const word of text.normalize('NFC').toLowerCase().match(/\p{L}+/gu) || []) {
+    const byWord = LATIN_LANGUAGES.filter(({ words }) => words.includes(word));
+    const byLetter = LATIN_LANGUAGES.filter(({ letters }) => letters && letters.test(word));
+    for (const matches of [byWord, byLetter]) {
+      for (const { lang } of matches) {
+        scores.set(lang, /** @type {number} */ (scores.get(lang)) + 1 / matches.length);
+      }
+    }
+  }
+
+  const english = /** @type {number} */ (scores.get('en'));
+  let best = 'en';
+  let bestScore = 0;
+  for (const [lang, score] of scores) {
+    if (lang !== 'en' && score > bestScore) {
+      best = lang;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= MIN_LATIN_SCORE && bestScore > english ? best : 'en';
+}
+
+/**
+ * Translate a prompt into English.
+ *
+ * @param {any} env
+ * @param {string} text
+ * @param {string} sourceLang - ISO 639-1 code from detectLanguage
+ * @returns {Promise<string>}
+ */
+export async function translateToEnglish(env, text, sourceLang) {
+  const model = env.TRANSLATION_MODEL || DEFAULT_TRANSLATION_MODEL;
+  const output = await env.AI.run(model, {
+    text,
+    source_lang: sourceLang,
+    target_lang: 'en'
+  });
+
+  const translated = output && typeof output.translated_text === 'string'
+    ? output.translated_text.trim()
+    : '';
+  if (!translated) {
+    throw new Error('Translation returned no text');
+  }
+
+  return translated.slice(0, MAX_PROMPT_LENGTH);
+}
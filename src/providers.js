@@ -0,0 +1,128 @@
+// Identity providers for signing users in. Each provider sends the browser
+// to an authorization URL and turns the callback request into a profile;
+// ./users.js maps that profile to a user account.
+//
+// Providers:
+//   local  - stub for development and tests: signs in as any username.
+//            Enabled with AUTH_LOCAL_PROVIDER = "true"; never enable it in production.
+//   github - GitHub OAuth app, enabled when GITHUB_CLIENT_ID and
+//            GITHUB_CLIENT_SECRET are set
+
+/**
+ * @typedef {Object} ProviderProfile
+ * @property {string} id - Stable id of the user at the provider
+ * @property {string} name - Display name
+ */
+
+/**
+ * @typedef {Object} IdentityProvider
+ * @property {string} name
+ * @property {string} label - Shown on the login button
+ * @property {(env: any) => boolean} isEnabled
+ * @property {(env: any, request: Request, redirectUri: string, state: string) => { error: string } | { url: string }} authorizeUrl
+ *   Where to send the browser to sign in
+ * @property {(env: any, request: Request, redirectUri: string) => Promise<ProviderProfile | null>} exchange
+ *   Resolve the callback request to a profile, or null if sign-in failed
+ */
+
+const USERNAME_PATTERN = /^[\w.-]{1,64}$/;
+
+/** @type {IdentityProvider} */
+const localProvider = {
+  name: 'local',
+  label: '本地测试账号',
+  isEnabled: env => env.AUTH_LOCAL_PROVIDER === 'true',
+
+  authorizeUrl(env, request, redirectUri, state) {
+    const username = new URL(request.url).searchParams.get('username') || '';
+    if (!USERNAME_PATTERN.test(username)) {
+      return { error: 'Username must be 1-64 letters, digits, dots, dashes or underscores' };
+    }
+    // No external service: go straight to the callback with the username as the code
+    const params = new URLSearchParams({ code: username, state });
+    return { url: `${redirectUri}?${params}` };
+  },
+
+  async exchange(env, request) {
+    const code = new URL(request.url).searchParams.get('code') || '';
+    return USERNAME_PATTERN.test(code) ? { id: code, name: code } : null;
+  }
+};
+
+/** @type {IdentityProvider} */
+const githubProvider = {
+  name: 'github',
+  label: 'GitHub',
+  isEnabled: env => Boolean(env.GITHUB_CLIENT_ID && env.GITHUB_CLIENT_SECRET),
+
+  authorizeUrl(env, request, redirectUri, state) {
+    const params = new URLSearchParams({
+      client_id: env.GITHUB_CLIENT_ID,
+      redirect_uri: redirectUri,
+      scope: 'read:user',
+      state
+    });
+    return { url: `https://github.com/login/oauth/authorize?${params}` };
+  },
+
+  async exchange(env, request, redirectUri) {
+    const code = new URL(request.url).searchParams.get('code');
+    if (!code) {
+      return null;
+    }
+
+    const tokenResponse = await fetch('https://github.com/login/oauth/access_token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify({
+        client_id: env.GITHUB_CLIENT_ID,
+        client_secret: env.GITHUB_CLIENT_SECRET,
+        code,
+        redirect_uri: redirectUri
+      })
+    });
+    /** @type {any} */
+    const token = await tokenResponse.json();
+    if (!token.access_token) {
+      return null;
+    }
+
+    const userResponse = await fetch('https://api.github.com/user', {
+      headers: {
+        'Authorization': `Bearer ${token.access_token}`,
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'ai-image-generator'
+      }
+    });
+    if (!userResponse.ok) {
+      return null;
+    }
+
+    /** @type {any} */
+    const user = await userResponse.json();
+    return { id: String(user.id), name: user.login };
+  }
+};
+
+const PROVIDERS = [localProvider, githubProvider];
+
+/**
+ * @param {any} env
+ * @param {string} name
+ * @returns {IdentityProvider | null}
+ */
+export function getProvider(env, name) {
+  return PROVIDERS.find(provider => provider.name === name && provider.isEnabled(env)) || null;
+}
+
+/**
+ * Providers enabled in this deployment, for the login page.
+ *
+ * @param {any} env
+ * @returns {{ name: string, label: string }[]}
+ */
+export function listProviders(env) {
+  return PROVIDERS
+    .filter(provider => provider.isEnabled(env))
+    .map(({ name, label }) => ({ name, label }));
+}
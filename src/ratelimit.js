@@ -0,0 +1,271 @@
+// Rate limiting for the generation endpoints, backed by IMAGE_STORE.
+//
+// Two limits apply to every caller, once per client IP and once per API key
+// (or per user, for sessions from an identity provider):
+//   - a sliding window on requests, approximated from the counters of the
+//     current and previous fixed windows
+//   - a daily quota on generated images, reset at midnight UTC
+//
+// Limits come from [vars] in wrangler.toml; a limit of "0" disables it.
+// KV is eventually consistent, so concurrent requests hitting different
+// locations can briefly exceed a limit. The counters are meant to stop
+// runaway clients, not to meter billing.
+
+const WINDOW_PREFIX = 'ratelimit:';
+const QUOTA_PREFIX = 'quota:';
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_TTL = 60;
+
+const DEFAULTS = {
+  RATE_LIMIT_WINDOW_SECONDS: 60,
+  RATE_LIMIT_IP_REQUESTS: 10,
+  RATE_LIMIT_KEY_REQUESTS: 30,
+  DAILY_IMAGE_QUOTA_IP: 100,
+  DAILY_IMAGE_QUOTA_KEY: 500
+};
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {Record<string, string>} headers - X-RateLimit-* headers, plus Retry-After when limited
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} LimitCheck
+ * @property {boolean} allowed
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} reset - Unix time in seconds when the limit frees up
+ * @property {number} retryAfter - Seconds until a retry can succeed
+ */
+
+/**
+ * Count a request against the per-IP and per-key sliding windows.
+ *
+ * @param {any} env
+ * @param {Request} request
+ * @param {import('./auth.js').AuthContext | null} auth
+ * @returns {Promise<RateLimitResult>}
+ */
+export async function checkRequestRate(env, request, auth) {
+  const windowSeconds = readLimit(env, 'RATE_LIMIT_WINDOW_SECONDS');
+  const now = Date.now();
+
+  const checks = await Promise.all(
+    clientIds(request, auth).map(({ id, kind }) => {
+      const limit = readLimit(env, kind === 'ip' ? 'RATE_LIMIT_IP_REQUESTS' : 'RATE_LIMIT_KEY_REQUESTS');
+      return limit > 0 && windowSeconds > 0
+        ? slidingWindow(env, id, limit, windowSeconds, now)
+        : null;
+    })
+  );
+
+  return toResult(checks, 'Too many requests, please slow down');
+}
+
+/**
+ * Charge generated images against the per-IP and per-key daily quotas.
+ * Images are charged when the batch is accepted, so failed images still count.
+ *
+ * @param {any} env
+ * @param {Request} request
+ * @param {import('./auth.js').AuthContext | null} auth
+ * @param {number} count
+ * @returns {Promise<RateLimitResult>}
+ */
+export async function consumeImageQuota(env, request, auth, count) {
+  const now = Date.now();
+  const ids = clientIds(request, auth);
+
+  const quotas = ids.map(({ kind }) => readLimit(env, kind === 'ip' ? 'DAILY_IMAGE_QUOTA_IP' : 'DAILY_IMAGE_QUOTA_KEY'));
+  const usage = await Promise.all(
+    ids.map(({ id }, i) => quotas[i] > 0 ? readCounter(env, quotaKey(id, now)) : 0)
+  );
+
+  // Check every quota before charging any, so a rejected batch costs nothing
+  const reset = Math.ceil(nextUtcMidnight(now) / 1000);
+  const retryAfter = Math.max(1, reset - Math.ceil(now / 1000));
+  /** @type {(LimitCheck | null)[]} */
+  const checks = quotas.map((quota, i) => quota > 0
+    ? {
+      allowed: usage[i] + count <= quota,
+      limit: quota,
+      remaining: Math.max(0, quota - usage[i] - count),
+      reset,
+      retryAfter
+    }
+    : null);
+
+  const result = toResult(checks, 'Daily image quota exceeded');
+  if (result.allowed) {
+    await Promise.all(ids.map(({ id }, i) => quotas[i] > 0
+      ? env.IMAGE_STORE.put(quotaKey(id, now), String(usage[i] + count), { expirationTtl: 86400 * 2 })
+      : null));
+  }
+
+  return result;
+}
+
+/**
+ * Build the 429 response for a rejected request.
+ *
+ * @param {RateLimitResult} result
+ * @param {Record<string, string>} corsHeaders
+ * @returns {Response}
+ */
+export function tooManyRequests(result, corsHeaders) {
+  return new Response(
+    JSON.stringify({ error: result.error }),
+    {
+      status: 429,
+      headers: {
+        'Content-Type': 'application/json',
+        ...corsHeaders,
+        ...result.headers
+      }
+    }
+  );
+}
+
+/**
+ * @param {Request} request
+ * @param {import('./auth.js').AuthContext | null} auth
+ * @returns {{ id: string, kind: 'ip' | 'key' }[]}
+ */
+function clientIds(request, auth) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  /** @type {{ id: string, kind: 'ip' | 'key' }[]} */
+  const ids = [{ id: `ip:${ip}`, kind: 'ip' }];
+  if (auth) {
+    // Provider sessions have no key; their user gets the per-key limits
+    ids.push({ id: auth.keyId ? `key:${auth.keyId}` : `user:${auth.userId}`, kind: 'key' });
+  }
+  return ids;
+}
+
+/**
+ * @param {any} env
+ * @param {keyof typeof DEFAULTS} name
+ * @returns {number}
+ */
+function readLimit(env, name) {
+  const value = parseInt(env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULTS[name];
+}
+
+/**
+ * Sliding-window counter: the previous window's count is weighted by how
+ * much of it still overlaps the window ending now.
+ *
+ * @param {any} env
+ * @param {string} id
+ * @param {number} limit
+ * @param {number} windowSeconds
+ * @param {number} now
+ * @returns {Promise<LimitCheck>}
+ */
+async function slidingWindow(env, id, limit, windowSeconds, now) {
+  const windowMs = windowSeconds * 1000;
+  const window = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  const windowEnd = (window + 1) * windowMs;
+
+  const [previous, current] = await Promise.all([
+    readCounter(env, `${WINDOW_PREFIX}${id}:${window - 1}`),
+    readCounter(env, `${WINDOW_PREFIX}${id}:${window}`)
+  ]);
+  const estimate = previous * (1 - elapsed) + current;
+
+  if (estimate + 1 > limit) {
+    // Either wait for the previous window's weight to decay far enough, or,
+    // if the current window alone is full, for the next window
+    let retryAt = windowEnd;
+    if (current + 1 <= limit && previous > 0) {
+      const neededElapsed = 1 - (limit - 1 - current) / previous;
+      retryAt = window * windowMs + neededElapsed * windowMs;
+    }
+    const retryAfter = Math.max(1, Math.ceil((retryAt - now) / 1000));
+    return {
+      allowed: false,
+      limit,
+      remaining: 0,
+      reset: Math.ceil(now / 1000) + retryAfter,
+      retryAfter
+    };
+  }
+
+  await env.IMAGE_STORE.put(`${WINDOW_PREFIX}${id}:${window}`, String(current + 1), {
+    expirationTtl: Math.max(MIN_TTL, windowSeconds * 2)
+  });
+
+  return {
+    allowed: true,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+    reset: Math.ceil(windowEnd / 1000),
+    retryAfter: 0
+  };
+}
+
+/**
+ * Combine the checks of all client ids; headers describe the tightest limit.
+ *
+ * @param {(LimitCheck | null)[]} checks
+ * @param {string} error
+ * @returns {RateLimitResult}
+ */
+function toResult(checks, error) {
+  const active = /** @type {LimitCheck[]} */ (checks.filter(Boolean));
+  if (active.length === 0) {
+    return { allowed: true, headers: {} };
+  }
+
+  const denied = active.filter(check => !check.allowed);
+  const tightest = denied.length > 0
+    ? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+    : active.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  /** @type {Record<string, string>} */
+  const headers = {
+    'X-RateLimit-Limit': String(tightest.limit),
+    'X-RateLimit-Remaining': String(tightest.remaining),
+    'X-RateLimit-Reset': String(tightest.reset)
+  };
+
+  if (denied.length > 0) {
+    headers['Retry-After'] = String(tightest.retryAfter);
+    return { allowed: false, headers, error };
+  }
+
+  return { allowed: true, headers };
+}
+
+/**
+ * @param {any} env
+ * @param {string} key
+ * @returns {Promise<number>}
+ */
+async function readCounter(env, key) {
+  const value = await env.IMAGE_STORE.get(key);
+  return value ? parseInt(value, 10) || 0 : 0;
+}
+
+/**
+ * @param {string} id
+ * @param {number} now
+ * @returns {string}
+ */
+function quotaKey(id, now) {
+  return `${QUOTA_PREFIX}${id}:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * @param {number} now
+ * @returns {number}
+ */
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
@@ -0,0 +1,348 @@
+// Reconciliation between the R2 bucket and history. Storage drifts because
+// KV records expire while their images do not, and failed runs can leave
+// images without a record. A reconciliation lists IMAGES_BUCKET and every
+// history record and reports both kinds of orphans:
+//
+// - orphan objects: images and uploads no record refers to, and thumbnails
+//   and cached variants (./images.js) of images that no longer exist
+// - missing images: R2 keys of records whose object is gone
+//
+// It runs from the Cron Trigger with the RECONCILE_ACTION variable, and on
+// demand through POST /api/admin/reconcile (scripts/cleanup-kv.js reconcile).
+//
+// A run has to fit in one Worker invocation. History comes from key
+// listings (./history.js), the bucket listing stops after MAX_LISTED_PAGES
+// pages, and a run deletes at most MAX_DELETED_OBJECTS objects and changes
+// at most MAX_RECORD_CHANGES records; what is left is found and handled by
+// the next run. A run that could not list all of history or the bucket
+// changes nothing, since it cannot tell orphans from images it did not see.
+
+import { getHistory, putHistory, deleteHistory, listAllHistoryImages, isHistoryRetained } from './history.js';
+import { indexHistory, unindexHistory } from './search.js';
+import { deleteShareLink } from './share.js';
+import { removeFromCollections } from './collections.js';
+import { derivedSourceKey } from './images.js';
+
+/**
+ * - `report`: change nothing
+ * - `recreate`: re-create the history records of orphan images from their R2
+ *   metadata, where it is complete and the record would not expire at once
+ * - `delete`: delete orphan objects, and drop missing images from their
+ *   records, deleting records that have none left
+ *
+ * @typedef {'report' | 'recreate' | 'delete'} ReconcileAction
+ */
+
+export const RECONCILE_ACTIONS = ['report', 'recreate', 'delete'];
+
+// R2 prefixes that history records own objects in, directly or through
+// the image a thumbnail or variant was derived from
+const RECONCILED_PREFIXES = ['images/', 'uploads/', 'thumbs/', 'variants/'];
+
+// Objects this recent are skipped: a batch writes its images before its
+// history record, and a background job can take a while
+const GRACE_PERIOD_MS = 3600 * 1000;
+
+// Keys listed per category in a report; the counts cover all of them
+const REPORT_KEY_LIMIT = 100;
+
+// R2 deletes at most this many keys per call
+const DELETE_BATCH_SIZE = 1000;
+
+// Orphan objects deleted per run
+const MAX_DELETED_OBJECTS = 5000;
+
+// R2 list calls per run, up to 1000 objects each
+const MAX_LISTED_PAGES = 100;
+
+// Records re-created, updated or deleted per run, a few KV operations each
+const MAX_RECORD_CHANGES = 100;
+
+/**
+ * @typedef {Object} ReconcileReport
+ * @property {ReconcileAction} action
+ * @property {number} startedAt
+ * @property {boolean} complete - False when not all history records or R2 objects could be listed in this run; nothing else is checked or changed then
+ * @property {number} objects - R2 objects scanned
+ * @property {number} records - History records scanned
+ * @property {{ count: number, bytes: number, recoverable: number, keys: string[] }} orphanObjects
+ * @property {{ count: number, records: number, keys: string[] }} missingImages
+ * @property {number} recreatedRecords
+ * @property {number} deletedObjects
+ * @property {number} updatedRecords - Records rewritten without their missing images
+ * @property {number} deletedRecords - Records deleted because all their images were missing
+ */
+
+/**
+ * @typedef {Object} StoredObject
+ * @property {string} key
+ * @property {number} size
+ * @property {number} uploaded
+ * @property {Record<string, string>} customMetadata
+ */
+
+/**
+ * Validate the action of a reconciliation request.
+ *
+ * @param {any} body
+ * @returns {{ error: string } | { action: ReconcileAction }}
+ */
+export function parseReconcileRequest(body) {
+  const action = body && body.action !== undefined ? body.action : 'report';
+  if (!RECONCILE_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${RECONCILE_ACTIONS.join(', ')}` };
+  }
+  return { action };
+}
+
+/**
+ * @param {any} env
+ * @param {ReconcileAction} action
+ * @param {number} [now]
+ * @returns {Promise<ReconcileReport>}
+ */
+export async function reconcileStorage(env, action, now = Date.now()) {
+  /** @type {ReconcileReport} */
+  const report = {
+    action,
+    startedAt: now,
+    complete: true,
+    objects: 0,
+    records: 0,
+    orphanObjects: { count: 0, bytes: 0, recoverable: 0, keys: [] },
+    missingImages: { count: 0, records: 0, keys: [] },
+    recreatedRecords: 0,
+    deletedObjects: 0,
+    updatedRecords: 0,
+    deletedRecords: 0
+  };
+
+  const { generations, complete } = await listAllHistoryImages(env);
+  if (!complete) {
+    // Objects the unread records own would be reported as orphans
+    return { ...report, complete: false, records: generations.length };
+  }
+  const listed = await listObjects(env);
+  if (!listed.complete) {
+    // Unlisted images would be reported as missing from their records
+    return { ...report, complete: false, objects: listed.objects.length, records: generations.length };
+  }
+  const objects = listed.objects;
+
+  /** @type {Set<string>} */
+  const referenced = new Set();
+  /** @type {Set<string>} */
+  const recorded = new Set();
+  for (const generation of generations) {
+    generation.r2Keys.forEach(key => referenced.add(key));
+    if (generation.parentKey) {
+      referenced.add(generation.parentKey);
+    }
+    recorded.add(`${generation.userId}:${generation.timestamp}`);
+  }
+
+  const existing = new Set(objects.map(object => object.key));
+  const orphans = objects.filter(object => {
+    const source = derivedSourceKey(object.key, object.customMetadata);
+    const owned = source ? existing.has(source) && referenced.has(source) : referenced.has(object.key);
+    return !owned && object.uploaded < now - GRACE_PERIOD_MS;
+  });
+  const recoverable = groupRecoverable(env, orphans, recorded, now);
+  const incomplete = generations
+    .map(generation => ({ ...generation, missing: generation.r2Keys.filter(key => !existing.has(key)) }))
+    .filter(generation => generation.missing.length > 0);
+  const missingKeys = incomplete.flatMap(generation => generation.missing);
+
+  report.objects = objects.length;
+  report.records = generations.length;
+  report.orphanObjects = {
+    count: orphans.length,
+    bytes: orphans.reduce((sum, object) => sum + object.size, 0),
+    recoverable: [...recoverable.values()].reduce((sum, group) => sum + group.length, 0),
+    keys: orphans.slice(0, REPORT_KEY_LIMIT).map(object => object.key)
+  };
+  report.missingImages = {
+    count: missingKeys.length,
+    records: incomplete.length,
+    keys: missingKeys.slice(0, REPORT_KEY_LIMIT)
+  };
+
+  if (action === 'recreate') {
+    for (const group of [...recoverable.values()].slice(0, MAX_RECORD_CHANGES)) {
+      const record = recoverRecord(group);
+      await putHistory(env, record.userId, record);
+      await indexHistory(env, record.userId, record);
+      report.recreatedRecords++;
+    }
+  }
+
+  if (action === 'delete') {
+    const deleted = orphans.slice(0, MAX_DELETED_OBJECTS);
+    for (let i = 0; i < deleted.length; i += DELETE_BATCH_SIZE) {
+      await env.IMAGES_BUCKET.delete(deleted.slice(i, i + DELETE_BATCH_SIZE).map(object => object.key));
+    }
+    report.deletedObjects = deleted.length;
+
+    for (const { userId, timestamp, missing } of incomplete.slice(0, MAX_RECORD_CHANGES)) {
+      const record = await getHistory(env, userId, timestamp);
+      if (!record) {
+        continue;
+      }
+      if (missing.length < record.r2Keys.length) {
+        await putHistory(env, userId, withoutImages(record, missing));
+        report.updatedRecords++;
+      } else {
+        await deleteShareLink(env, record);
+        await removeFromCollections(env, userId, record);
+        await unindexHistory(env, userId, record);
+        await deleteHistory(env, userId, record);
+        report.deletedRecords++;
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Run the reconciliation configured by RECONCILE_ACTION, for the Cron
+ * Trigger. The report goes to the Worker logs.
+ *
+ * @param {any} env
+ * @returns {Promise<void>}
+ */
+export async function runScheduledReconcile(env) {
+  const parsed = parseReconcileRequest({ action: env.RECONCILE_ACTION || 'report' });
+  if ('error' in parsed) {
+    console.error(`Invalid RECONCILE_ACTION: ${parsed.error}`);
+    return;
+  }
+
+  const report = await reconcileStorage(env, parsed.action);
+  console.log('Storage reconciliation:', JSON.stringify(report));
+}
+
+/**
+ * Objects under the reconciled prefixes, or as many as MAX_LISTED_PAGES
+ * list calls return, with `complete` false.
+ *
+ * @param {any} env
+ * @returns {Promise<{ objects: StoredObject[], complete: boolean }>}
+ */
+async function listObjects(env) {
+  /** @type {StoredObject[]} */
+  const objects = [];
+  let pages = 0;
+  for (const prefix of RECONCILED_PREFIXES) {
+    /** @type {string | undefined} */
+    let cursor;
+    do {
+      if (pages >= MAX_LISTED_PAGES) {
+        return { objects, complete: false };
+      }
+      pages++;
+      const list = await env.IMAGES_BUCKET.list({ prefix, cursor, include: ['customMetadata'] });
+      for (const object of list.objects) {
+        objects.push({
+          key: object.key,
+          size: object.size,
+          uploaded: new Date(object.uploaded).getTime(),
+          customMetadata: object.customMetadata || {}
+        });
+      }
+      cursor = list.truncated ? list.cursor : undefined;
+    } while (cursor);
+  }
+  return { objects, complete: true };
+}
+
+/**
+ * Orphan images whose R2 metadata describes their batch, grouped by batch.
+ * Batches that still have a record, or whose record would expire right
+ * away, are left out.
+ *
+ * @param {any} env
+ * @param {StoredObject[]} orphans
+ * @param {Set<string>} recorded - `<userId>:<timestamp>` of existing records
+ * @param {number} now
+ * @returns {Map<string, StoredObject[]>}
+ */
+function groupRecoverable(env, orphans, recorded, now) {
+  /** @type {Map<string, StoredObject[]>} */
+  const groups = new Map();
+  for (const object of orphans) {
+    const metadata = object.customMetadata;
+    const timestamp = Number(metadata.timestamp);
+    const id = `${metadata.userId}:${timestamp}`;
+    if (!object.key.startsWith('images/') || !metadata.userId || !metadata.prompt || !metadata.model ||
+        !Number.isInteger(timestamp) || !Number(metadata.imageIndex) ||
+        recorded.has(id) || !isHistoryRetained(env, timestamp, now)) {
+      continue;
+    }
+    groups.set(id, [...(groups.get(id) || []), object]);
+  }
+  return groups;
+}
+
+/**
+ * History record of a batch rebuilt from the metadata generateImage stores
+ * with each image.
+ *
+ * @param {StoredObject[]} objects - Images of one batch
+ * @returns {any}
+ */
+function recoverRecord(objects) {
+  const images = [...objects].sort((a, b) => Number(a.customMetadata.imageIndex) - Number(b.customMetadata.imageIndex));
+  const metadata = images[0].customMetadata;
+  const numImages = Number(metadata.totalImages) || images.length;
+  const indices = images.map(image => Number(image.customMetadata.imageIndex));
+
+  return {
+    userId: metadata.userId,
+    ...(metadata.parentKey ? { task: metadata.task, parentKey: metadata.parentKey } : {}),
+    prompt: metadata.prompt,
+    ...(metadata.translatedPrompt
+      ? { originalPrompt: metadata.originalPrompt, translatedPrompt: metadata.translatedPrompt, sourceLanguage: metadata.sourceLanguage }
+      : {}),
+    model: metadata.model,
+    steps: Number(metadata.steps),
+    numImages,
+    width: Number(metadata.width),
+    height: Number(metadata.height),
+    timestamp: Number(metadata.timestamp),
+    r2Keys: images.map(image => image.key),
+    ...(images.some(image => image.customMetadata.thumbKey)
+      ? { thumbKeys: images.map(image => image.customMetadata.thumbKey || null) }
+      : {}),
+    seeds: images.map(image => Number(image.customMetadata.seed)),
+    ...(metadata.private === 'true' ? { private: true } : {}),
+    generatedCount: images.length,
+    failedIndices: Array.from({ length: numImages }, (_, i) => i + 1).filter(index => !indices.includes(index)),
+    recovered: true
+  };
+}
+
+/**
+ * @param {any} record
+ * @param {string[]} missing - R2 keys to drop
+ * @returns {any}
+ */
+function withoutImages(record, missing) {
+  /** @type {string[]} */
+  const r2Keys = record.r2Keys;
+  const kept = r2Keys
+    .map((key, i) => ({
+      key,
+      seed: record.seeds ? record.seeds[i] : undefined,
+      thumbKey: record.thumbKeys ? record.thumbKeys[i] : undefined
+    }))
+    .filter(image => !missing.includes(image.key));
+
+  return {
+    ...record,
+    r2Keys: kept.map(image => image.key),
+    ...(record.seeds ? { seeds: kept.map(image => image.seed) } : {}),
+    ...(record.thumbKeys ? { thumbKeys: kept.map(image => image.thumbKey) } : {}),
+    generatedCount: kept.length
+  };
+}
@@ -0,0 +1,313 @@
+// Prompt search over a user's history.
+//
+// Keyword search compares the terms of the user's newest records
+// (./terms.js). They are kept in the metadata of the KV history keys, or
+// taken from the prompts in D1, so a search reads a few key listings and no
+// separate index has to be written or cleaned up.
+//
+// Semantic search (SEMANTIC_SEARCH = "true") embeds the prompts with a
+// Workers AI text embedding model and ranks records by cosine similarity.
+// Vectors go to the SEARCH_INDEX Vectorize binding when it is configured,
+// and otherwise to KV as `embedding:<userId>:<inverted timestamp>`, with the
+// lifetime of their record; the KV fallback needs no extra setup, so it also
+// works in local development, but only compares the newest records.
+
+import { getHistory, historyKey, timestampFromKey, historyExpirationOptions, listHistoryTerms } from './history.js';
+import { base64ToBytes, bytesToBase64 } from './models.js';
+import { tokenize, recordText, containsTerm } from './terms.js';
+
+const EMBEDDING_PREFIX = 'embedding:';
+
+// Embedding model used when EMBEDDING_MODEL is not configured. bge-m3 is
+// multilingual, so queries match prompts written in another language.
+const DEFAULT_EMBEDDING_MODEL = '@cf/baai/bge-m3';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 8;
+
+// Records compared by the KV fallback of semantic search
+const MAX_EMBEDDING_SCAN = 200;
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {string} q
+ * @property {'keyword' | 'semantic'} mode
+ * @property {number} limit
+ */
+
+/**
+ * Validate search query parameters.
+ *
+ * @param {URLSearchParams} params
+ * @param {any} env
+ * @returns {{ error: string } | SearchQuery}
+ */
+export function parseSearchQuery(params, env) {
+  const q = (params.get('q') || '').trim();
+  if (!q) {
+    return { error: 'q is required' };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const mode = params.get('mode') || 'keyword';
+  if (mode !== 'keyword' && mode !== 'semantic') {
+    return { error: 'mode must be keyword or semantic' };
+  }
+  if (mode === 'semantic' && !isSemanticSearchEnabled(env)) {
+    return { error: 'Semantic search is not enabled' };
+  }
+
+  const limitParam = params.get('limit');
+  const limit = limitParam ? Number(limitParam) : DEFAULT_SEARCH_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}` };
+  }
+
+  return { q, mode, limit };
+}
+
+/**
+ * @param {any} env
+ * @returns {boolean}
+ */
+export function isSemanticSearchEnabled(env) {
+  return env.SEMANTIC_SEARCH === 'true';
+}
+
+/**
+ * Add a new history record to the semantic search index; its keyword
+ * terms are stored with the record. Failures are logged and swallowed, so
+ * indexing never fails a generation.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function indexHistory(env, userId, record) {
+  if (!isSemanticSearchEnabled(env)) {
+    return;
+  }
+
+  try {
+    const [vector] = await embed(env, [recordText(record)]);
+    if (env.SEARCH_INDEX) {
+      await env.SEARCH_INDEX.upsert([{
+        id: vectorId(userId, record.timestamp),
+        values: vector,
+        metadata: { userId, timestamp: record.timestamp }
+      }]);
+    } else {
+      await env.IMAGE_STORE.put(embeddingKey(userId, record.timestamp), encodeVector(vector), historyExpirationOptions(env, record));
+    }
+  } catch (error) {
+    console.error('Search indexing failed:', error);
+  }
+}
+
+/**
+ * Give the KV embedding of a record the record's new lifetime, after it
+ * was starred, added to a collection or unpinned.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function refreshHistoryIndex(env, userId, record) {
+  if (!isSemanticSearchEnabled(env) || env.SEARCH_INDEX) {
+    return;
+  }
+  const key = embeddingKey(userId, record.timestamp);
+  const vector = await env.IMAGE_STORE.get(key);
+  if (vector) {
+    await env.IMAGE_STORE.put(key, vector, historyExpirationOptions(env, record));
+  }
+}
+
+/**
+ * Remove a history record that is being deleted from the semantic search
+ * index.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {{ timestamp: number }} record
+ * @returns {Promise<void>}
+ */
+export async function unindexHistory(env, userId, record) {
+  await env.IMAGE_STORE.delete(embeddingKey(userId, record.timestamp));
+  if (env.SEARCH_INDEX) {
+    await env.SEARCH_INDEX.deleteByIds([vectorId(userId, record.timestamp)]);
+  }
+}
+
+/**
+ * Search a user's history, most relevant first.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {SearchQuery} query
+ * @returns {Promise<Object[]>} History records with a `score`
+ */
+export async function searchHistory(env, userId, query) {
+  const ranked = query.mode === 'semantic'
+    ? await semanticMatches(env, userId, query.q, query.limit)
+    : await keywordMatches(env, userId, query.q);
+
+  /** @type {Object[]} */
+  const items = [];
+  for (const { timestamp, score } of ranked) {
+    if (items.length >= query.limit) {
+      break;
+    }
+    const record = await getHistory(env, userId, timestamp);
+    if (record) {
+      items.push({ ...record, score: Math.round(score * 1000) / 1000 });
+    } else if (query.mode === 'semantic') {
+      // The record expired before its vector
+      await unindexHistory(env, userId, { timestamp });
+    }
+  }
+  return items;
+}
+
+/**
+ * Rank records by the summed IDF of the query terms they contain; ties go
+ * to the newest record.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {string} q
+ * @returns {Promise<{ timestamp: number, score: number }[]>}
+ */
+async function keywordMatches(env, userId, q) {
+  const terms = tokenize(q).slice(0, MAX_QUERY_TERMS);
+  const records = await listHistoryTerms(env, userId);
+
+  /** @type {Map<number, number>} */
+  const scores = new Map();
+  for (const term of terms) {
+    const matching = records.filter(record => containsTerm(record.terms, term));
+    const idf = Math.log(1 + records.length / Math.max(1, matching.length));
+    for (const { timestamp } of matching) {
+      scores.set(timestamp, (scores.get(timestamp) || 0) + idf);
+    }
+  }
+
+  return [...scores]
+    .map(([timestamp, score]) => ({ timestamp, score }))
+    .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+}
+
+/**
+ * @param {any} env
+ * @param {string} userId
+ * @param {string} q
+ * @param {number} limit
+ * @returns {Promise<{ timestamp: number, score: number }[]>}
+ */
+async function semanticMatches(env, userId, q, limit) {
+  const [vector] = await embed(env, [q]);
+
+  if (env.SEARCH_INDEX) {
+    const result = await env.SEARCH_INDEX.query(vector, {
+      topK: limit,
+      filter: { userId },
+      returnMetadata: 'indexed'
+    });
+    /** @type {{ score: number, metadata: { timestamp: number } }[]} */
+    const matches = result.matches;
+    return matches.map(match => ({ timestamp: Number(match.metadata.timestamp), score: match.score }));
+  }
+
+  const list = await env.IMAGE_STORE.list({ prefix: `${EMBEDDING_PREFIX}${userId}:`, limit: MAX_EMBEDDING_SCAN });
+  /** @type {{ name: string }[]} */
+  const keys = list.keys;
+  const stored = await Promise.all(keys.map(key => env.IMAGE_STORE.get(key.name)));
+
+  return keys
+    .map((key, i) => ({
+      timestamp: timestampFromKey(key.name),
+      score: stored[i] ? cosineSimilarity(vector, decodeVector(stored[i])) : -1
+    }))
+    .filter(match => match.score > -1)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {any} env
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embed(env, texts) {
+  const model = env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+  const output = await env.AI.run(model, { text: texts });
+  // bge-base and friends return `data`, bge-m3 returns `response`
+  const vectors = output && (output.data || output.response);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error('Embedding model returned no vectors');
+  }
+  return vectors;
+}
+
+/**
+ * Embeddings are keyed by the inverted timestamp of the record's history
+ * key, so listings are newest first like the history itself.
+ *
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function embeddingKey(userId, timestamp) {
+  const key = historyKey(userId, timestamp);
+  return `${EMBEDDING_PREFIX}${userId}:${key.slice(key.lastIndexOf(':') + 1)}`;
+}
+
+/**
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function vectorId(userId, timestamp) {
+  return `${userId}:${timestamp}`;
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Pack a vector as base64 float32, a quarter of the size of JSON.
+ *
+ * @param {number[]} vector
+ * @returns {string}
+ */
+function encodeVector(vector) {
+  return bytesToBase64(new Uint8Array(new Float32Array(vector).buffer));
+}
+
+/**
+ * @param {string} encoded
+ * @returns {number[]}
+ */
+function decodeVector(encoded) {
+  return Array.from(new Float32Array(base64ToBytes(encoded).buffer));
+}
@@ -0,0 +1,216 @@
+// Public share links for generations. Galleries are private, so a generation
+// is only reachable at /g/<shareId> after its owner shares it; the share id
+// is random, and revoking the share or deleting the generation invalidates
+// the link. Share keys do not expire themselves: a record can outlive its
+// 30 days once starred, and lookups check that the record still exists.
+
+import { putHistory, getHistory } from './history.js';
+
+const SHARE_PREFIX = 'share:';
+
+/**
+ * @typedef {Object} ShareRecord
+ * @property {string} userId
+ * @property {number} timestamp
+ */
+
+/**
+ * Share a history record, reusing its share id if it is already shared.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record - History record of the user
+ * @returns {Promise<string>} The share id
+ */
+export async function shareHistoryItem(env, userId, record) {
+  if (record.shareId) {
+    return record.shareId;
+  }
+
+  const shareId = crypto.randomUUID().replace(/-/g, '');
+  /** @type {ShareRecord} */
+  const share = { userId, timestamp: record.timestamp };
+
+  await env.IMAGE_STORE.put(`${SHARE_PREFIX}${shareId}`, JSON.stringify(share));
+  await putHistory(env, userId, { ...record, shareId });
+
+  return shareId;
+}
+
+/**
+ * Revoke the share link of a history record.
+ *
+ * @param {any} env
+ * @param {string} userId
+ * @param {any} record - History record of the user
+ * @returns {Promise<void>}
+ */
+export async function unshareHistoryItem(env, userId, record) {
+  if (!record.shareId) {
+    return;
+  }
+
+  await deleteShareLink(env, record);
+  const updated = { ...record };
+  delete updated.shareId;
+  await putHistory(env, userId, updated);
+}
+
+/**
+ * Remove the share link of a record that is being deleted.
+ *
+ * @param {any} env
+ * @param {any} record
+ * @returns {Promise<void>}
+ */
+export async function deleteShareLink(env, record) {
+  if (record.shareId) {
+    await env.IMAGE_STORE.delete(`${SHARE_PREFIX}${record.shareId}`);
+  }
+}
+
+/**
+ * @param {any} env
+ * @param {string} shareId
+ * @returns {Promise<any | null>} The shared history record, or null if the link is invalid
+ */
+export async function getSharedItem(env, shareId) {
+  const data = await env.IMAGE_STORE.get(`${SHARE_PREFIX}${shareId}`);
+  if (!data) {
+    return null;
+  }
+
+  /** @type {ShareRecord} */
+  const share = JSON.parse(data);
+  const record = await getHistory(env, share.userId, share.timestamp);
+  return record && record.shareId === shareId ? record : null;
+}
+
+/**
+ * @param {string} origin
+ * @param {string} shareId
+ * @returns {string}
+ */
+export function shareUrl(origin, shareId) {
+  return `${origin}/g/${shareId}`;
+}
+
+/**
+ * Server-rendered page for a shared generation, with Open Graph tags so
+ * link previews show the first image and the prompt.
+ *
+ * @param {any} record
+ * @param {string} shareId
+ * @param {string} origin
+ * @returns {string}
+ */
+export function renderSharePage(record, shareId, origin) {
+  const pageUrl = shareUrl(origin, shareId);
+  const r2Keys = /** @type {string[]} */ (record.r2Keys);
+  const images = r2Keys.map((_key, i) => `${pageUrl}/images/${i + 1}`);
+  const title = record.prompt.length > 70 ? `${record.prompt.slice(0, 67)}...` : record.prompt;
+  const size = record.width && record.height ? `${record.width}×${record.height}` : '';
+  const description = [`模型 ${record.model}`, `${record.steps} 步`, size].filter(Boolean).join(' · ');
+
+  const params = [
+    ['模型', record.model],
+    ['步数', record.steps],
+    ['尺寸', size],
+    ['种子', record.seeds ? record.seeds.join(', ') : ''],
+    ['生成时间', new Date(record.timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC']
+  ].filter(([, value]) => value !== '' && value !== undefined);
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - AI 图像生成器</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="AI 图像生成器">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(images[0])}">
+    ${record.width ? `<meta property="og:image:width" content="${record.width}">` : ''}
+    ${record.height ? `<meta property="og:image:height" content="${record.height}">` : ''}
+    <meta name="twitter:card" content="summary_large_image">
+    <style>
+        body {
+            margin: 0;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            color: #333;
+        }
+        .container {
+            max-width: 960px;
+            margin: 0 auto;
+            padding: 30px 20px;
+        }
+        .card {
+            background: white;
+            border-radius: 20px;
+            padding: 30px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+        }
+        .images {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+            gap: 15px;
+            margin-bottom: 20px;
+        }
+        .images img {
+            width: 100%;
+            border-radius: 12px;
+            display: block;
+        }
+        .prompt {
+            font-size: 1.1rem;
+            line-height: 1.6;
+            margin-bottom: 15px;
+        }
+        .params div {
+            color: #4a5568;
+            margin-bottom: 5px;
+        }
+        .footer {
+            text-align: center;
+            margin-top: 20px;
+        }
+        .footer a {
+            color: white;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="card">
+            <div class="images">
+                ${images.map((src, i) => `<img src="${escapeHtml(src)}" alt="生成的图像 ${i + 1}" loading="lazy">`).join('\n                ')}
+            </div>
+            <div class="prompt">${escapeHtml(record.prompt)}</div>
+            ${record.originalPrompt ? `<div class="params"><div><strong>原始提示词:</strong> ${escapeHtml(record.originalPrompt)}</div></div>` : ''}
+            <div class="params">
+                ${params.map(([label, value]) => `<div><strong>${label}:</strong> ${escapeHtml(String(value))}</div>`).join('\n                ')}
+            </div>
+        </div>
+        <div class="footer"><a href="/">🎨 使用 AI 图像生成器创作</a></div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
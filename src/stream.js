@@ -0,0 +1,117 @@
+// Server-Sent Events variant of /api/generate. Each image is sent as soon as
+// it is stored in R2 instead of waiting for the whole batch.
+//
+// Events:
+//   start - batch parameters, sent before the first image
+//   image - a generated image (same shape as the entries of `images`, honoring `responseFormat`)
+//   error - a single image failed: { index, seed, error }
+//   done  - the history record, or { success: false, error } if nothing was generated
+
+import {
+  preparePrompt,
+  generateBatch,
+  batchResults,
+  saveHistory,
+  formatImage,
+  signPrivateImages
+} from './generation.js';
+
+/**
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function wantsEventStream(request) {
+  const accept = request.headers.get('Accept') || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Run a generation batch and stream its progress as SSE.
+ *
+ * @param {any} env
+ * @param {{ waitUntil(promise: Promise<unknown>): void }} ctx
+ * @param {import('./generation.js').GenerateOptions} parsedOptions
+ * @param {Record<string, string>} corsHeaders
+ * @returns {Response}
+ */
+export function streamGeneration(env, ctx, parsedOptions, corsHeaders) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  let connected = true;
+
+  /**
+   * @param {string} event
+   * @param {unknown} data
+   */
+  const send = async (event, data) => {
+    if (!connected) {
+      return;
+    }
+    try {
+      await writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    } catch (error) {
+      // The client went away; keep generating so the batch still lands in history
+      connected = false;
+    }
+  };
+
+  const timestamp = Date.now();
+
+  const run = async () => {
+    try {
+      const options = await preparePrompt(env, parsedOptions);
+
+      await send('start', {
+        timestamp,
+        prompt: options.prompt,
+        originalPrompt: options.originalPrompt,
+        translatedPrompt: options.translatedPrompt,
+        sourceLanguage: options.sourceLanguage,
+        model: options.model.id,
+        steps: options.steps,
+        numImages: options.numImages,
+        width: options.width,
+        height: options.height
+      });
+
+      const { images, failures } = await generateBatch(env, options, timestamp, {
+        onImage: async image => {
+          const [formatted] = await signPrivateImages(env, options, [formatImage(image, options.responseFormat)]);
+          await send('image', formatted);
+        },
+        onError: failure => send('error', failure)
+      });
+      const results = batchResults(images, failures);
+
+      if (images.length === 0) {
+        await send('done', { success: false, error: 'Failed to generate any images', results });
+        return;
+      }
+
+      const record = await saveHistory(env, options, timestamp, images, failures);
+      await send('done', { success: true, ...record, results });
+    } catch (error) {
+      console.error('Streaming generation error:', error);
+      await send('done', {
+        success: false,
+        error: 'Failed to generate image',
+        details: /** @type {Error} */ (error).message
+      });
+    } finally {
+      if (connected) {
+        await writer.close().catch(() => {});
+      }
+    }
+  };
+
+  ctx.waitUntil(run());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders
+    }
+  });
+}
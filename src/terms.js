@@ -0,0 +1,124 @@
+// Search terms of prompts, for keyword search (./search.js). Latin words are
+// lowercased and lightly stemmed; Chinese, Japanese and Korean text, which
+// has no spaces, is split into character bigrams.
+//
+// The terms of a KV history record are stored in the metadata of its key
+// (./history.js), so they are written, expire and are deleted together with
+// the record.
+
+const MAX_RECORD_TERMS = 64;
+const MAX_TERM_LENGTH = 40;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const CJK_RUN = new RegExp(`[${CJK}]+`, 'gu');
+const CJK_CHAR = new RegExp(`[${CJK}]`, 'u');
+
+/**
+ * Split text into index terms.
+ *
+ * @param {string} text
+ * @returns {string[]} Unique terms in order of appearance
+ */
+export function tokenize(text) {
+  /** @type {Set<string>} */
+  const terms = new Set();
+  const normalized = text.normalize('NFKC').toLowerCase().replace(CJK_RUN, run => ` ${run} `);
+
+  for (const word of normalized.match(/[\p{L}\p{N}]+/gu) || []) {
+    if (CJK_CHAR.test(word)) {
+      const chars = [...word];
+      if (chars.length === 1) {
+        terms.add(word);
+      }
+      for (let i = 0; i < chars.length - 1; i++) {
+        terms.add(chars[i] + chars[i + 1]);
+      }
+    } else if (word.length > 1 && word.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(word)) {
+      terms.add(stem(word));
+    }
+  }
+
+  return [...terms];
+}
+
+/**
+ * Text of a record that is searched: the prompt as generated plus the
+ * prompt as written, if it was translated or enhanced.
+ *
+ * @param {{ prompt?: string, originalPrompt?: string, translatedPrompt?: string }} record
+ * @returns {string}
+ */
+export function recordText(record) {
+  return [...new Set([record.originalPrompt, record.translatedPrompt, record.prompt].filter(Boolean))].join('\n');
+}
+
+/**
+ * Terms of a record's text, as many as fit in `maxBytes` when joined with
+ * spaces, for the size-limited metadata of a KV key.
+ *
+ * @param {{ prompt?: string, originalPrompt?: string, translatedPrompt?: string }} record
+ * @param {number} [maxBytes]
+ * @returns {string[]}
+ */
+export function recordTerms(record, maxBytes = Infinity) {
+  const text = recordText(record);
+  const encoder = new TextEncoder();
+
+  /** @type {string[]} */
+  const terms = [];
+  let bytes = 0;
+  for (const term of tokenize(text).slice(0, MAX_RECORD_TERMS)) {
+    // Terms are stored space-separated
+    bytes += encoder.encode(term).length + 1;
+    if (bytes > maxBytes) {
+      break;
+    }
+    terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Whether a query term occurs in a record's terms. A single CJK character
+ * is only indexed on its own when it stands alone, so it also matches the
+ * bigrams that contain it.
+ *
+ * @param {string[]} terms - Terms of the record
+ * @param {string} term - Term of the query
+ * @returns {boolean}
+ */
+export function containsTerm(terms, term) {
+  if ([...term].length === 1 && CJK_CHAR.test(term)) {
+    return terms.some(candidate => candidate.includes(term));
+  }
+  return terms.includes(term);
+}
+
+/**
+ * Reduce common English plural and verb endings, so "cats" finds "cat".
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 4 && /(x|z|ch|sh|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 5 && word.endsWith('ing')) {
+    // "running" -> "run"
+    const base = word.slice(0, -3);
+    return /([^aeioulsz])\1$/.test(base) ? base.slice(0, -1) : base;
+  }
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
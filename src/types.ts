@@ -6,7 +6,11 @@ export interface Env {
 
 export interface GenerateRequest {
   prompt: string;
+  model?: string;
   steps?: number;
+  seed?: number;
+  guidance?: number;
+  negativePrompt?: string;
 }
 
 export interface GenerateResponse {
@@ -21,7 +25,9 @@ export interface GenerateResponse {
 
 export interface HistoryItem {
   prompt: string;
+  model?: string;
   steps: number;
   timestamp: number;
   imageData: string;
+  seeds?: number[];
 }
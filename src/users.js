@@ -0,0 +1,135 @@
+// User accounts. Users sign in through an identity provider (./providers.js)
+// or own API keys; their generations are stored under their id, as
+// `history:<userId>:<ts>` in KV and `images/<userId>/...` in R2, and are only
+// visible to them and to admins. With the DB binding, users and history are
+// rows in D1 instead (./db.js).
+
+import { hasDatabase, getUserRow, findUserRow, insertUser } from './db.js';
+
+const USER_PREFIX = 'user:';
+const EXTERNAL_ID_PREFIX = 'user-ext:';
+
+// Owner of everything generated while AUTH_DISABLED is set
+export const ANONYMOUS_USER_ID = 'anonymous';
+
+// Owner of everything generated with the ADMIN_API_KEY secret
+export const ADMIN_USER_ID = 'admin';
+
+// R2 prefixes whose keys carry the owner as their second path segment
+const OWNED_PREFIXES = ['images', 'uploads', 'thumbs'];
+
+/**
+ * Scopes granted to users signed in through an identity provider.
+ *
+ * @type {import('./auth.js').Scope[]}
+ */
+export const USER_SCOPES = ['generate', 'read-history'];
+
+/**
+ * @typedef {Object} UserRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {string} provider - Identity provider the user signed in with
+ * @property {string} externalId - The user's id at that provider
+ * @property {number} createdAt
+ */
+
+/**
+ * @param {any} env
+ * @param {string} id
+ * @returns {Promise<UserRecord | null>}
+ */
+export async function getUser(env, id) {
+  if (hasDatabase(env)) {
+    return getUserRow(env, id);
+  }
+
+  const data = await env.IMAGE_STORE.get(`${USER_PREFIX}${id}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Look up the user behind a provider identity, creating it on first sign-in.
+ *
+ * @param {any} env
+ * @param {string} provider
+ * @param {{ id: string, name: string }} profile
+ * @returns {Promise<UserRecord>}
+ */
+export async function findOrCreateUser(env, provider, profile) {
+  if (hasDatabase(env)) {
+    const existing = await findUserRow(env, provider, profile.id);
+    if (existing) {
+      return existing;
+    }
+    const user = newUser(provider, profile);
+    await insertUser(env, user);
+    return user;
+  }
+
+  const externalKey = `${EXTERNAL_ID_PREFIX}${provider}:${profile.id}`;
+  const existingId = await env.IMAGE_STORE.get(externalKey);
+  if (existingId) {
+    const existing = await getUser(env, existingId);
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const user = newUser(provider, profile);
+  await env.IMAGE_STORE.put(`${USER_PREFIX}${user.id}`, JSON.stringify(user));
+  await env.IMAGE_STORE.put(externalKey, user.id);
+
+  return user;
+}
+
+/**
+ * Id new generations of the caller are stored under.
+ *
+ * @param {import('./auth.js').AuthContext | null} auth - null when auth is disabled
+ * @returns {string}
+ */
+export function ownerId(auth) {
+  return auth ? auth.userId : ANONYMOUS_USER_ID;
+}
+
+/**
+ * Owner encoded in an R2 key, or null for keys written before per-user
+ * prefixes, which only admins can read.
+ *
+ * @param {string} r2Key
+ * @returns {string | null}
+ */
+export function ownerFromKey(r2Key) {
+  const segments = r2Key.split('/');
+  return segments.length === 3 && OWNED_PREFIXES.includes(segments[0]) ? segments[1] : null;
+}
+
+/**
+ * Whether the caller may see data owned by `owner`.
+ *
+ * @param {import('./auth.js').AuthContext | null} auth - null when auth is disabled
+ * @param {string | null | undefined} owner
+ * @returns {boolean}
+ */
+export function canAccess(auth, owner) {
+  if (!auth) {
+    return true;
+  }
+  return auth.scopes.includes('admin') || (!!owner && owner === auth.userId);
+}
+
+/**
+ * @param {string} provider
+ * @param {{ id: string, name: string }} profile
+ * @returns {UserRecord}
+ */
+function newUser(provider, profile) {
+  return {
+    id: crypto.randomUUID(),
+    name: profile.name,
+    provider,
+    externalId: profile.id,
+    createdAt: Date.now()
+  };
+}
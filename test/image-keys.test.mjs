@@ -0,0 +1,185 @@
+// Validation of the R2 keys requested through /api/image/ (parseImageKey in
+// src/images.js), and who may read them. Run with `npm run test:unit`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../src/index.js';
+import { parseImageKey } from '../src/images.js';
+import { createApiKey } from '../src/auth.js';
+
+const VALID_KEYS = [
+  // Generated images, thumbnails and uploads of a user
+  'images/3f0c2a9e-5d1b-4c7a-9f3e-1a2b3c4d5e6f/8e3e9a605d124b8fb4dbe4d81b77d1d1-2.png',
+  'thumbs/admin/2b71a94efb534a9198aa0ab99500ba37-1.webp',
+  'uploads/anonymous/1792418383967-5f0c2a9e-5d1b-4c7a-9f3e-1a2b3c4d5e6f',
+  // Images stored before keys had a random part or an owner
+  'images/admin/1792418383967-1.png',
+  'images/1792418383967-1.png'
+];
+
+const MALICIOUS_KEYS = [
+  // Other namespaces and objects outside any namespace
+  'variants/images/admin/1-1.png/300x-q80.webp',
+  'secrets/admin/key.txt',
+  'wrangler.toml',
+  'IMAGES/admin/1-1.png',
+  'images',
+  '',
+  // Traversal, encoded once or twice
+  'images/../wrangler.toml',
+  'images/admin/../../wrangler.toml',
+  'images%2F..%2Fwrangler.toml',
+  'images/admin/..%2F..%2Fsecret',
+  'images/%2e%2e/secret',
+  'images/%252e%252e/secret',
+  'images/admin/%252e%252e%252fsecret',
+  'images/..',
+  'images/admin/.',
+  'images\\..\\wrangler.toml',
+  'images/admin/..\\..\\secret',
+  // Wrong shape
+  '/images/admin/1-1.png',
+  'images//1-1.png',
+  'images/admin/',
+  'images/admin/sub/1-1.png',
+  'thumbs/1-1.webp',
+  'uploads/1792418383967',
+  'images/admin/.hidden',
+  `images/admin/${'a'.repeat(129)}.png`,
+  // Characters the app never writes
+  'images/admin/1-1.png%00',
+  'images/admin/1-1.png\u0000',
+  'images/admin/1-1%0a.png',
+  'images/admin/%E2%80%AEgnp.exe',
+  'images/admin/1-1.png?x=1',
+  'images/admin/1 1.png',
+  // Malformed URL encoding
+  'images/admin/%E0%A4%A',
+  'images/admin/%'
+];
+
+test('accepts keys in the image namespaces', () => {
+  for (const key of VALID_KEYS) {
+    assert.deepEqual(parseImageKey(key), { key }, key);
+  }
+});
+
+test('decodes URL-encoded keys', () => {
+  assert.deepEqual(parseImageKey('images%2Fadmin%2F1792418383967-1.png'), { key: 'images/admin/1792418383967-1.png' });
+  assert.deepEqual(parseImageKey('thumbs/admin/%61bc-1.webp'), { key: 'thumbs/admin/abc-1.webp' });
+});
+
+test('rejects traversal, other namespaces and unexpected characters', () => {
+  for (const key of MALICIOUS_KEYS) {
+    assert.ok('error' in parseImageKey(key), JSON.stringify(key));
+  }
+});
+
+test('reports which namespaces are allowed', () => {
+  assert.deepEqual(parseImageKey('variants/images/admin/1-1.png/300x-q80.webp'), {
+    error: 'Image key must start with one of: images/, uploads/, thumbs/'
+  });
+  assert.deepEqual(parseImageKey('images/admin/%E0%A4%A'), { error: 'Image key is not valid URL encoding' });
+  assert.deepEqual(parseImageKey('images/../wrangler.toml'), { error: 'Invalid image key' });
+});
+
+/**
+ * Bucket holding one image, recording every key the Worker reads.
+ *
+ * @param {string} [stored] - Key of the image
+ */
+function makeBucket(stored = VALID_KEYS[0]) {
+  const bytes = new Uint8Array([137, 80, 78, 71]);
+  const object = {
+    size: bytes.length,
+    httpEtag: '"etag"',
+    uploaded: new Date(0),
+    httpMetadata: { contentType: 'image/png' },
+    customMetadata: {}
+  };
+  const requested = [];
+  return {
+    requested,
+    async head(key) {
+      requested.push(key);
+      return key === stored ? object : null;
+    },
+    async get(key) {
+      requested.push(key);
+      return key === stored ? { ...object, body: new Response(bytes).body } : null;
+    }
+  };
+}
+
+/**
+ * @param {string} path - Path after /api/image/
+ */
+async function requestImage(path) {
+  const bucket = makeBucket();
+  const env = { AUTH_DISABLED: 'true', IMAGES_BUCKET: bucket };
+  const ctx = { waitUntil() {}, passThroughOnException() {} };
+  const response = await worker.fetch(new Request(`http://localhost/api/image/${path}`), env, ctx);
+  return { response, requested: bucket.requested };
+}
+
+test('/api/image/ serves valid keys', async () => {
+  const { response, requested } = await requestImage(VALID_KEYS[0]);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'image/png');
+  assert.ok(requested.every(key => key === VALID_KEYS[0]));
+});
+
+test('/api/image/ answers malicious keys with 400 without reading the bucket', async () => {
+  // A query string, or control characters that URL parsing strips, would
+  // leave a different key in the path; parseImageKey is tested with those above
+  const inPath = MALICIOUS_KEYS.filter(key => key !== '' && !key.includes('?') && !/[\u0000-\u001f]/.test(key));
+  for (const key of inPath) {
+    const { response, requested } = await requestImage(key);
+    // URL parsing resolves some traversals before routing, but what is left
+    // under /api/image/ is still not a valid key
+    assert.equal(response.status, 400, JSON.stringify(key));
+    assert.deepEqual(requested, [], JSON.stringify(key));
+  }
+});
+
+test('/api/image/ rejects traversal left in the path with 400', async () => {
+  for (const key of ['images/admin/..%2F..%2Fsecret', 'images%2F..%2Fwrangler.toml', 'images/%252e%252e/secret', 'secrets/admin/key.txt']) {
+    const { response } = await requestImage(key);
+    assert.equal(response.status, 400, key);
+  }
+});
+
+/**
+ * KV namespace kept in memory, enough for API keys.
+ */
+function makeStore() {
+  const values = new Map();
+  return {
+    async get(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+test('/api/image/ serves a generate-only key the images it generated', async () => {
+  const env = { IMAGE_STORE: makeStore() };
+  const created = await createApiKey(env, { name: 'generator', scopes: ['generate'] });
+  assert.ok('key' in created);
+  const own = `images/${created.record.userId}/8e3e9a605d124b8fb4dbe4d81b77d1d1-1.png`;
+  const ctx = { waitUntil() {}, passThroughOnException() {} };
+  const headers = { Authorization: `Bearer ${created.key}` };
+
+  const bucket = makeBucket(own);
+  const response = await worker.fetch(new Request(`http://localhost/api/image/${own}`, { headers }), { ...env, IMAGES_BUCKET: bucket }, ctx);
+  assert.equal(response.status, 200);
+
+  // Other users' images stay out of reach
+  const other = makeBucket();
+  const forbidden = await worker.fetch(new Request(`http://localhost/api/image/${VALID_KEYS[0]}`, { headers }), { ...env, IMAGES_BUCKET: other }, ctx);
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(other.requested, []);
+});